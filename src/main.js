@@ -4,174 +4,209 @@
  */
 
 import "./styles/globals.css";
-import { initSmoothScroll } from "./scripts/smooth-scroll.js";
-import { initAnimations } from "./scripts/animations.js";
-import { initCursor } from "./scripts/cursor.js";
-import { initAccordion } from "./scripts/accordion.js";
-import { initHorizontalScroll } from "./scripts/horizontal-scroll.js";
-import { initMagnetic } from "./scripts/magnetic.js";
-import { initMobileMenu } from "./scripts/mobile-menu.js";
-import { initHeroShader } from "./scripts/hero-shader.js";
-import { initSmartHeader } from "./scripts/smart-header.js";
-
-// Wait for DOM
-document.addEventListener("DOMContentLoaded", () => {
-  // Initialize loading sequence
-  initLoader();
-});
+import { createApp } from "./scripts/app.js";
+import { createErrorReporter } from "./scripts/error-reporter.js";
+import { initLoader } from "./scripts/loader.js";
+import { onMotionPreferenceChange } from "./scripts/motion-preference.js";
+import { getPreference, onPreferenceChange } from "./scripts/preferences.js";
+import { initQualityGovernor, onQualityChange } from "./scripts/quality.js";
+import { onViewportChange } from "./scripts/viewport.js";
+import {
+  createLoadProgress,
+  trackFonts,
+  trackCriticalImages,
+  trackModules,
+} from "./scripts/load-progress.js";
 
-/**
- * Premium Loading Sequence - PSI Gauge
- * Simulates concrete pressure building to 4000 PSI
- */
-function initLoader() {
-  const loader = document.getElementById("loader");
-  const psiDisplay = document.getElementById("loader-psi");
-  const stageDisplay = document.getElementById("loader-stage");
-  const progressBar = document.getElementById("loader-progress-bar");
-  const tagline = document.getElementById("loader-tagline");
-
-  // Loading stages with their PSI thresholds
-  const stages = [
-    { psi: 0, label: "MIXING", duration: 800 },
-    { psi: 1000, label: "POURING", duration: 600 },
-    { psi: 2500, label: "CURING", duration: 700 },
-    { psi: 4000, label: "READY", duration: 400 },
-  ];
-
-  const targetPSI = 4000;
-  const totalDuration = 2500; // Total animation time in ms
-  let currentPSI = 0;
-  let startTime = null;
-
-  // Custom easing function - starts slow, accelerates, then slows at end
-  const easeOutExpo = (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t));
-
-  // Animation loop for PSI counter
-  function animatePSI(timestamp) {
-    if (!startTime) startTime = timestamp;
-    const elapsed = timestamp - startTime;
-    const progress = Math.min(elapsed / totalDuration, 1);
-    const easedProgress = easeOutExpo(progress);
-
-    // Calculate current PSI
-    currentPSI = Math.floor(easedProgress * targetPSI);
-
-    // Update display
-    if (psiDisplay) {
-      psiDisplay.textContent = currentPSI;
-      // Update ARIA for accessibility
-      loader.setAttribute("aria-valuenow", Math.floor(progress * 100));
-    }
+// Failures are logged in dev and beaconed in production
+const reporter = createErrorReporter();
 
-    // Update progress bar
-    if (progressBar) {
-      progressBar.style.width = `${progress * 100}%`;
-    }
+// Catch anything thrown outside module init (async callbacks, etc.)
+const releaseGlobalErrors = reporter.captureGlobalErrors();
 
-    // Update stage based on PSI
-    if (stageDisplay) {
-      for (let i = stages.length - 1; i >= 0; i--) {
-        if (currentPSI >= stages[i].psi) {
-          stageDisplay.textContent = stages[i].label;
-          break;
-        }
-      }
-    }
+// Central lifecycle controller for every interactive module
+const app = createApp({ onError: handleModuleError });
 
-    // Show tagline near end
-    if (progress > 0.7 && tagline) {
-      tagline.classList.add("visible");
-    }
+// Motion-heavy modules pick their full or reduced path at init - rebuild
+// them when the preference flips mid-session (no reload)
+const MOTION_MODULES = ["animations", "magnetic", "heroShader"];
+const releaseMotionPreference = onMotionPreferenceChange(() =>
+  restartModules(MOTION_MODULES),
+);
 
-    // Fill the number when reaching max
-    if (progress > 0.9 && psiDisplay) {
-      psiDisplay.classList.add("filled");
-    }
+// Effects switched off in the preferences panel, applied live
+const PREFERENCE_MODULES = {
+  disableCursor: ["cursor"],
+  disableWebGL: ["heroShader"],
+};
+applyGrainPreference();
+const releasePreferences = onPreferenceChange((name) => {
+  if (name === "disableGrain") applyGrainPreference();
+  restartModules(PREFERENCE_MODULES[name] ?? []);
+});
 
-    // Continue or complete
-    if (progress < 1) {
-      requestAnimationFrame(animatePSI);
-    } else {
-      // Animation complete - wait for resources then hide loader
-      completeLoading();
-    }
-  }
+// The shader reads its resolution and on/off at init; blur and skew
+// check the tier as they run
+const QUALITY_MODULES = ["heroShader"];
+const releaseQuality = onQualityChange(() => restartModules(QUALITY_MODULES));
 
-  // Wait for critical resources then start animation
-  Promise.all([document.fonts.ready, loadCriticalImages()]).then(() => {
-    requestAnimationFrame(animatePSI);
-  });
+// Pointer-only modules decide at init - rebuild them when a mouse appears or
+// goes away (docking, tablet keyboards). Gallery and accordion swap in place.
+const VIEWPORT_MODULES = { canHover: ["cursor", "magnetic"] };
+const releaseViewport = onViewportChange((viewport, changed) =>
+  restartModules(changed.flatMap((name) => VIEWPORT_MODULES[name] ?? [])),
+);
 
-  // Complete loading and reveal site
-  function completeLoading() {
-    // Short pause at 4000 PSI before reveal
-    setTimeout(() => {
-      loader.classList.add("hidden");
-      initAllModules();
-    }, 400);
-  }
+// Live exports of every lazy-loaded module (swapped in place on HMR)
+const modules = {};
+
+// Set when this entry is re-executed by a hot update
+const hotData = import.meta.hot?.data;
+
+// Wait for DOM (already parsed when re-executed by HMR)
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", boot);
+} else {
+  boot();
 }
 
 /**
- * Load critical above-the-fold images
+ * Start the loader and lazy-load the interactive modules
  */
-function loadCriticalImages() {
-  return new Promise((resolve) => {
-    const criticalImages = document.querySelectorAll(
-      'img[src*="logo"], #hero img',
-    );
-    let loaded = 0;
-    const total = criticalImages.length || 1;
+function boot() {
+  // Initialize loading sequence
+  const tracker = createLoadProgress();
 
-    if (total === 0) {
-      resolve();
-      return;
-    }
+  // Interactive modules are lazy-loaded so the loader can report on them
+  const modulesReady = loadModules();
 
-    criticalImages.forEach((img) => {
-      if (img.complete) {
-        loaded++;
-        if (loaded >= total) resolve();
-      } else {
-        img.addEventListener("load", () => {
-          loaded++;
-          if (loaded >= total) resolve();
-        });
-        img.addEventListener("error", () => {
-          loaded++;
-          if (loaded >= total) resolve();
-        });
-      }
-    });
+  trackFonts(tracker);
+  trackCriticalImages(tracker);
+  trackModules(tracker, modulesReady);
 
-    // Fallback timeout
-    setTimeout(resolve, 3000);
+  initLoader({
+    tracker,
+    // Never replay the intro on a hot re-execution
+    mode: hotData?.reinit ? "none" : undefined,
+    onComplete: () =>
+      modulesReady.then(initAllModules).catch(handleModulesFailed),
   });
 }
 
 /**
- * Initialize all interactive modules
+ * Lazy-load all interactive modules
+ * @returns {Promise<Object>} Merged exports of every module
  */
-function initAllModules() {
-  // Core functionality
-  const lenis = initSmoothScroll();
+function loadModules() {
+  return Promise.all([
+    import("./scripts/smooth-scroll.js"),
+    import("./scripts/scroll-lock.js"),
+    import("./scripts/scroll-restoration.js"),
+    import("./scripts/keyboard-scroll.js"),
+    import("./scripts/animations.js"),
+    import("./scripts/cursor.js"),
+    import("./scripts/accordion.js"),
+    import("./scripts/horizontal-scroll.js"),
+    import("./scripts/magnetic.js"),
+    import("./scripts/mobile-menu.js"),
+    import("./scripts/hero-shader.js"),
+    import("./scripts/smart-header.js"),
+    import("./scripts/preferences-panel.js"),
+    import("./scripts/theme.js"),
+  ]).then((namespaces) => Object.assign(modules, ...namespaces));
+}
 
-  // Animations (needs lenis reference)
-  initAnimations(lenis);
+/**
+ * Register every module with the app controller
+ * Definitions read from `modules` at init time so hot-swapped
+ * exports are picked up on restart.
+ */
+function registerModules() {
+  app
+    // Core functionality
+    .register({
+      name: "lenis",
+      // Anchor clicks add history entries ("replace" keeps one entry)
+      init: () => modules.initSmoothScroll({ historyMode: "push" }),
+      destroy: () => modules.destroySmoothScroll(),
+    })
+    // Shared scroll lock for overlays (pauses Lenis)
+    .register({
+      name: "scrollLock",
+      deps: ["lenis"],
+      init: ({ lenis }) => modules.initScrollLock(lenis),
+    })
+    // Remember scroll position per URL for reloads and back navigation
+    .register({
+      name: "scrollRestoration",
+      deps: ["lenis"],
+      init: ({ lenis }) => modules.initScrollRestoration(lenis),
+    })
+    // Smooth keyboard scrolling (arrows, page keys, space, home/end)
+    .register({
+      name: "keyboardScroll",
+      deps: ["lenis"],
+      init: ({ lenis }) => modules.initKeyboardScroll(lenis),
+    })
+    // Animations (needs lenis reference)
+    .register({
+      name: "animations",
+      deps: ["lenis"],
+      init: ({ lenis, reportError }) =>
+        modules.initAnimations(lenis, { onError: reportError }),
+    })
+    // Interactive elements
+    .register({ name: "cursor", init: () => modules.initCursor() })
+    .register({ name: "magnetic", init: () => modules.initMagnetic() })
+    .register({
+      name: "accordion",
+      init: ({ signal }) => modules.initAccordion({ signal }),
+    })
+    .register({
+      name: "horizontalScroll",
+      deps: ["lenis"],
+      init: ({ lenis }) => modules.initHorizontalScroll(lenis),
+    })
+    .register({
+      name: "mobileMenu",
+      deps: ["scrollLock"],
+      init: () => modules.initMobileMenu(),
+    })
+    // Premium visual effects
+    .register({
+      name: "heroShader",
+      deps: ["lenis"],
+      init: ({ lenis }) => modules.initHeroShader(lenis),
+    })
+    // Smart header - hide on scroll down, show on scroll up
+    .register({
+      name: "smartHeader",
+      deps: ["lenis"],
+      init: ({ lenis }) => modules.initSmartHeader(lenis),
+    })
+    // Motion & effects preferences (footer)
+    .register({
+      name: "preferencesPanel",
+      init: () => modules.initPreferencesPanel(),
+    })
+    // Page colours follow the section at the viewport centre
+    .register({ name: "themes", init: () => modules.initThemes() })
+    // Steps effects down on sustained frame drops (see quality.js)
+    .register({ name: "quality", init: () => initQualityGovernor() });
+}
 
-  // Interactive elements
-  initCursor();
-  initMagnetic();
-  initAccordion();
-  initHorizontalScroll(lenis);
-  initMobileMenu();
+/**
+ * Initialize all interactive modules
+ */
+function initAllModules() {
+  // Read before anything scrolls and overwrites it
+  const savedScroll = hotData?.reinit ? null : modules.getSavedScroll();
 
-  // Premium visual effects
-  initHeroShader(lenis);
+  registerModules();
+  app.startAll();
 
-  // Smart header - hide on scroll down, show on scroll up
-  initSmartHeader(lenis);
+  // Expose controller for debugging in dev only (e.g. app.restart("cursor"))
+  if (import.meta.env.DEV) window.app = app;
 
   // Trigger initial reveals for above-fold content
   setTimeout(() => {
@@ -180,5 +215,175 @@ function initAllModules() {
     });
   }, 100);
 
+  if (hotData?.reinit) {
+    restoreScroll(hotData.scroll);
+  } else if (window.location.hash) {
+    // Deep link (e.g. /#process) - land on the section, not the top. Wins
+    // over a saved position, which is shared by every hash on the page.
+    whenLayoutSettles(() =>
+      modules.scrollToHash(window.location.hash, { immediate: true }),
+    );
+  } else if (savedScroll !== null) {
+    // Reload or back navigation - return to where the visitor left off
+    restoreScroll(savedScroll);
+  }
+
   console.log("Pour Haus Concrete - All modules initialized");
 }
+
+/**
+ * Report a failed module without blanking the rest of the page
+ */
+function handleModuleError(error, detail) {
+  reporter.report(error, detail);
+
+  // Reveal targets start hidden in CSS - show them if animations never ran
+  if (detail.module === "animations" && detail.phase === "init") {
+    revealAllContent();
+  }
+}
+
+/**
+ * A lazy chunk failed to load (or init threw) - report it and never leave
+ * the page behind the loader with its content still hidden
+ */
+function handleModulesFailed(error) {
+  reporter.report(error, { module: "modules", phase: "load" });
+
+  // Animations may have loaded even if another chunk did not
+  import("./scripts/animations.js")
+    .then(({ showAllContent }) => showAllContent())
+    .catch(revealAllContent);
+}
+
+/**
+ * Show reveal targets without GSAP (CSS transition on .revealed)
+ */
+function revealAllContent() {
+  document
+    .querySelectorAll("[data-reveal]")
+    .forEach((el) => el.classList.add("revealed"));
+}
+
+/**
+ * Restart running modules so they re-read motion and effect preferences
+ */
+function restartModules(names) {
+  names
+    .filter((name) => app.isActive(name))
+    .forEach((name) => app.restart(name));
+}
+
+/**
+ * Grain is pure CSS - toggle it with a class on the root element
+ */
+function applyGrainPreference() {
+  document.documentElement.classList.toggle(
+    "no-grain",
+    getPreference("disableGrain"),
+  );
+}
+
+/**
+ * Run once fonts are in and ScrollTriggers have rebuilt
+ * Pins change the page height, so positions are only final after a refresh.
+ */
+function whenLayoutSettles(callback) {
+  document.fonts.ready.then(() => {
+    requestAnimationFrame(() => {
+      modules.refreshAnimations?.();
+      callback();
+    });
+  });
+}
+
+/**
+ * Jump back to a scroll position once the layout has settled
+ */
+function restoreScroll(scroll) {
+  whenLayoutSettles(() => {
+    app.get("lenis")?.scrollTo(scroll, { immediate: true, force: true });
+  });
+}
+
+/**
+ * Current scroll position, from Lenis when it is running
+ */
+function getScroll() {
+  return app.get("lenis")?.scroll ?? window.scrollY;
+}
+
+// ========================================
+// HOT MODULE REPLACEMENT (dev only)
+// ========================================
+if (import.meta.hot) {
+  // Script updates: tear down and re-init just that module in place.
+  // Dependents keep the current Lenis instance unless Lenis itself changed.
+  // Modules that were not running (e.g. switched off by a preference) only
+  // get the new code; it is used when they next start.
+  const hotSwap = (name) => (next) => {
+    if (!next) return;
+    const swap = () => Object.assign(modules, next);
+
+    if (!app.isActive(name)) {
+      swap();
+      return;
+    }
+
+    const scroll = getScroll();
+    app.restart(name, swap);
+    restoreScroll(scroll);
+  };
+
+  // One call per script so each path sits next to its module name (Vite
+  // only accepts string literals here, not keys of a map)
+  import.meta.hot.accept("./scripts/smooth-scroll.js", hotSwap("lenis"));
+  import.meta.hot.accept("./scripts/scroll-lock.js", hotSwap("scrollLock"));
+  import.meta.hot.accept(
+    "./scripts/scroll-restoration.js",
+    hotSwap("scrollRestoration"),
+  );
+  import.meta.hot.accept(
+    "./scripts/keyboard-scroll.js",
+    hotSwap("keyboardScroll"),
+  );
+  import.meta.hot.accept("./scripts/animations.js", hotSwap("animations"));
+  import.meta.hot.accept("./scripts/cursor.js", hotSwap("cursor"));
+  import.meta.hot.accept("./scripts/accordion.js", hotSwap("accordion"));
+  import.meta.hot.accept(
+    "./scripts/horizontal-scroll.js",
+    hotSwap("horizontalScroll"),
+  );
+  import.meta.hot.accept("./scripts/magnetic.js", hotSwap("magnetic"));
+  import.meta.hot.accept("./scripts/mobile-menu.js", hotSwap("mobileMenu"));
+  import.meta.hot.accept("./scripts/hero-shader.js", hotSwap("heroShader"));
+  import.meta.hot.accept("./scripts/smart-header.js", hotSwap("smartHeader"));
+  import.meta.hot.accept(
+    "./scripts/preferences-panel.js",
+    hotSwap("preferencesPanel"),
+  );
+  import.meta.hot.accept("./scripts/theme.js", hotSwap("themes"));
+
+  // Deliberately not listed - shared helpers without a module of their own:
+  // - split-text, reveal-presets, count-up, scroll-progress: an edit
+  //   propagates through animations.js, which is restarted above
+  // - eases: propagates through animations.js, count-up and theme.js
+  // - frame-scheduler: propagates through every module that subscribes
+  //   (smooth-scroll, animations, cursor, magnetic, hero-shader) and quality
+  // - viewport, quality, preferences, motion-preference, app, loader:
+  //   imported by this entry, so an edit re-runs it (below), which restarts
+  //   everything against the new code
+
+  // Entry updates: re-run this file without the loader
+  import.meta.hot.accept();
+  import.meta.hot.dispose((data) => {
+    data.reinit = true;
+    data.scroll = getScroll();
+    app.stopAll();
+    releaseGlobalErrors();
+    releaseMotionPreference();
+    releasePreferences();
+    releaseQuality();
+    releaseViewport();
+  });
+}
@@ -4,13 +4,69 @@
  * Full ARIA accessibility support
  */
 
+import gsap from "gsap";
+import { getViewport, onViewportChange } from "./viewport.js";
+
 /**
  * Initialize accordion functionality with accessibility
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Lifecycle signal from the app; tears
+ *   down whatever was already wired if init throws part-way
+ * @returns {Function} Cleanup function
  */
-export function initAccordion() {
-  const accordionItems = document.querySelectorAll(".accordion-item");
+export function initAccordion({ signal: lifecycle = null } = {}) {
+  // Items without a header or panel are skipped, not half-wired
+  const accordionItems = [
+    ...document.querySelectorAll(".accordion-item"),
+  ].filter(
+    (item) =>
+      item.querySelector(".accordion-header") &&
+      item.querySelector(".accordion-content"),
+  );
   const serviceImages = document.querySelectorAll(".service-image");
 
+  // Single abort signal removes every listener on teardown
+  const controller = new AbortController();
+  const { signal } = controller;
+  const timeouts = new Set();
+  let offViewport = null;
+
+  // Attributes as the markup had them, so a restart starts from scratch
+  const originalAttributes = [];
+  const setAttributes = (el, attributes) => {
+    Object.entries(attributes).forEach(([name, value]) => {
+      originalAttributes.push([el, name, el.getAttribute(name)]);
+      el.setAttribute(name, value);
+    });
+  };
+
+  const cleanup = () => {
+    lifecycle?.removeEventListener("abort", cleanup);
+    controller.abort();
+    offViewport?.();
+    timeouts.forEach(clearTimeout);
+    accordionItems.forEach((item) => item.classList.remove("active"));
+    originalAttributes.forEach(([el, name, value]) => {
+      if (value === null) {
+        el.removeAttribute(name);
+      } else {
+        el.setAttribute(name, value);
+      }
+    });
+    originalAttributes.length = 0;
+    serviceImages.forEach((img) => {
+      img.classList.remove("visible");
+      gsap.set(img, { clearProps: "transform" });
+    });
+  };
+  lifecycle?.addEventListener("abort", cleanup, { once: true });
+
+  // Checked per event, so the mode follows breakpoint and pointer changes
+  const showsHoverImages = () => {
+    const { desktop, canHover } = getViewport();
+    return desktop && canHover;
+  };
+
   accordionItems.forEach((item, index) => {
     const header = item.querySelector(".accordion-header");
     const content = item.querySelector(".accordion-content");
@@ -21,18 +77,20 @@ export function initAccordion() {
     const contentId = `accordion-content-${index}`;
 
     // Set up ARIA attributes
-    header.setAttribute("role", "button");
-    header.setAttribute("aria-expanded", "false");
-    header.setAttribute("aria-controls", contentId);
-    header.setAttribute("id", headerId);
-    header.setAttribute("tabindex", "0");
-
-    if (content) {
-      content.setAttribute("role", "region");
-      content.setAttribute("aria-labelledby", headerId);
-      content.setAttribute("id", contentId);
-      content.setAttribute("aria-hidden", "true");
-    }
+    setAttributes(header, {
+      role: "button",
+      "aria-expanded": "false",
+      "aria-controls": contentId,
+      id: headerId,
+      tabindex: "0",
+    });
+
+    setAttributes(content, {
+      role: "region",
+      "aria-labelledby": headerId,
+      id: contentId,
+      "aria-hidden": "true",
+    });
 
     // Toggle function with ARIA updates
     const toggleAccordion = (activate = null) => {
@@ -52,43 +110,50 @@ export function initAccordion() {
       if (shouldActivate) {
         item.classList.add("active");
         header.setAttribute("aria-expanded", "true");
-        if (content) content.setAttribute("aria-hidden", "false");
+        content.setAttribute("aria-hidden", "false");
       }
     };
 
     // Click to expand/collapse
-    header.addEventListener("click", () => toggleAccordion());
+    header.addEventListener("click", () => toggleAccordion(), { signal });
 
     // Keyboard navigation
-    header.addEventListener("keydown", (e) => {
-      switch (e.key) {
-        case "Enter":
-        case " ":
-          e.preventDefault();
-          toggleAccordion();
-          break;
-        case "ArrowDown":
-          e.preventDefault();
-          focusNextAccordion(index, accordionItems);
-          break;
-        case "ArrowUp":
-          e.preventDefault();
-          focusPrevAccordion(index, accordionItems);
-          break;
-        case "Home":
-          e.preventDefault();
-          focusFirstAccordion(accordionItems);
-          break;
-        case "End":
-          e.preventDefault();
-          focusLastAccordion(accordionItems);
-          break;
-      }
-    });
+    header.addEventListener(
+      "keydown",
+      (e) => {
+        switch (e.key) {
+          case "Enter":
+          case " ":
+            e.preventDefault();
+            toggleAccordion();
+            break;
+          case "ArrowDown":
+            e.preventDefault();
+            focusNextAccordion(index, accordionItems);
+            break;
+          case "ArrowUp":
+            e.preventDefault();
+            focusPrevAccordion(index, accordionItems);
+            break;
+          case "Home":
+            e.preventDefault();
+            focusFirstAccordion(accordionItems);
+            break;
+          case "End":
+            e.preventDefault();
+            focusLastAccordion(accordionItems);
+            break;
+        }
+      },
+      { signal },
+    );
+
+    // Hover to show image (desktop with a hover pointer only)
+    item.addEventListener(
+      "mouseenter",
+      () => {
+        if (!showsHoverImages()) return;
 
-    // Hover to show image (desktop only)
-    if (window.matchMedia("(min-width: 1024px)").matches) {
-      item.addEventListener("mouseenter", () => {
         // Hide all images
         serviceImages.forEach((img) => img.classList.remove("visible"));
 
@@ -99,34 +164,54 @@ export function initAccordion() {
         if (targetImage) {
           targetImage.classList.add("visible");
         }
-      });
+      },
+      { signal },
+    );
 
-      item.addEventListener("mouseleave", () => {
+    item.addEventListener(
+      "mouseleave",
+      () => {
         // Hide all images with delay for smooth transition
-        setTimeout(() => {
+        const timeoutId = setTimeout(() => {
+          timeouts.delete(timeoutId);
           const hovered = document.querySelector(".accordion-item:hover");
           if (!hovered) {
             serviceImages.forEach((img) => img.classList.remove("visible"));
           }
         }, 100);
-      });
-    }
+        timeouts.add(timeoutId);
+      },
+      { signal },
+    );
   });
 
   // Track mouse Y position for image following
-  if (window.matchMedia("(min-width: 1024px)").matches) {
-    document.addEventListener("mousemove", (e) => {
+  document.addEventListener(
+    "mousemove",
+    (e) => {
+      if (!showsHoverImages()) return;
+
       serviceImages.forEach((img) => {
         if (img.classList.contains("visible")) {
-          const rect = img.getBoundingClientRect();
           const centerY = window.innerHeight / 2;
           const offset = (e.clientY - centerY) * 0.1;
 
-          img.style.transform = `translateY(calc(-50% + ${offset}px))`;
+          // Through GSAP's transform cache, on top of the CSS centring
+          gsap.set(img, { yPercent: -50, y: offset });
         }
       });
-    });
-  }
+    },
+    { signal },
+  );
+
+  // Rotating a tablet or undocking a laptop - drop any open image
+  offViewport = onViewportChange(() => {
+    if (!showsHoverImages()) {
+      serviceImages.forEach((img) => img.classList.remove("visible"));
+    }
+  });
+
+  return cleanup;
 }
 
 /**
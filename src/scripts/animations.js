@@ -3,53 +3,81 @@
  * Awwwards-grade GSAP animations with scroll-velocity effects
  *
  * Architecture:
- * - Custom easing curves registered with GSAP
+ * - Custom easing curves registered with GSAP (eases.js)
  * - ScrollTrigger properly synced with Lenis
- * - Reduced motion preference respected
+ * - Reduced motion preference respected (restarted live when it changes)
  * - Performance-optimized RAF usage
+ * - Blur reveals and velocity skew drop out at low quality tiers (quality.js)
+ * - Everything created is tracked in a gsap.context for clean teardown
  */
 
 import gsap from "gsap";
 import { ScrollTrigger } from "gsap/ScrollTrigger";
-import { CustomEase } from "gsap/CustomEase";
-import SplitType from "split-type";
-
-gsap.registerPlugin(ScrollTrigger, CustomEase);
-
-// ========================================
-// CUSTOM EASING CURVES - Signature Motion
-// ========================================
-// These create the premium "feel" that separates award-winning sites
-CustomEase.create("expo-out", "0.16, 1, 0.3, 1");
-CustomEase.create("expo-in-out", "0.87, 0, 0.13, 1");
-CustomEase.create("quint-out", "0.22, 1, 0.36, 1");
-CustomEase.create("elastic-subtle", "0.68, -0.55, 0.265, 1.55");
-// Premium "pour" easing - slow start, accelerate, soft landing (like liquid concrete)
-CustomEase.create("pour", "0.4, 0, 0.2, 1");
+import { splitText, isSplit, watchSplitLayout } from "./split-text.js";
+import { getRevealPreset, getRevealOptions } from "./reveal-presets.js";
+import { prefersReducedMotion } from "./motion-preference.js";
+import { initCountUp } from "./count-up.js";
+import { initScrollProgress } from "./scroll-progress.js";
+import { getQuality } from "./quality.js";
+import { onFrame } from "./frame-scheduler.js";
+import { MEDIA_QUERIES } from "./viewport.js";
+import "./eases.js";
+
+gsap.registerPlugin(ScrollTrigger);
 
 // Global state
 let scrollVelocity = 0;
 let currentLenis = null;
-let prefersReducedMotion = false;
+// The hero intro plays once per page view, not on every restart
+let heroIntroPlayed = false;
+
+// Effects that hide content until they animate it in
+const CONTENT_EFFECTS = [
+  "hero",
+  "reveals",
+  "footer",
+  "splitText",
+  "reducedMotion",
+];
+
+// Stagger animations per data-split-type
+const SPLIT_ANIMATIONS = {
+  chars: {
+    from: { yPercent: 100, opacity: 0 },
+    duration: 1,
+    ease: "expo-out",
+    stagger: { amount: 0.5, from: "start" },
+  },
+  words: {
+    from: { yPercent: 100, opacity: 0 },
+    duration: 0.9,
+    ease: "expo-out",
+    stagger: 0.05,
+  },
+  lines: {
+    from: { yPercent: 60, opacity: 0 },
+    duration: 1,
+    ease: "expo-out",
+    stagger: 0.12,
+  },
+};
 
 /**
  * Initialize all scroll-based animations
+ * Each effect is isolated: one that throws is reported and skipped.
  * @param {Lenis} lenis - Lenis instance for scroll sync
+ * @param {Object} options
+ * @param {Function} options.onError - onError(error, { module }) for failed effects
+ * @returns {Function} Cleanup function
  */
-export function initAnimations(lenis) {
+export function initAnimations(lenis, { onError = console.error } = {}) {
   currentLenis = lenis;
 
-  // Check reduced motion preference
-  prefersReducedMotion = window.matchMedia(
-    "(prefers-reduced-motion: reduce)",
-  ).matches;
-
-  // Listen for preference changes
-  window
-    .matchMedia("(prefers-reduced-motion: reduce)")
-    .addEventListener("change", (e) => {
-      prefersReducedMotion = e.matches;
-    });
+  // Collects every tween, timeline and ScrollTrigger for teardown
+  const ctx = gsap.context(() => {});
+  // Non-GSAP teardown (split text, tickers, injected elements)
+  const cleanups = [];
+  let isDestroyed = false;
 
   // ========================================
   // CRITICAL: Sync Lenis with ScrollTrigger
@@ -74,28 +102,90 @@ export function initAnimations(lenis) {
   });
 
   // Update ScrollTrigger on Lenis scroll
-  lenis.on("scroll", ({ velocity }) => {
+  const offScroll = lenis.on("scroll", ({ velocity }) => {
     scrollVelocity = velocity;
     ScrollTrigger.update();
   });
 
   // Ensure ScrollTrigger refreshes on resize
-  ScrollTrigger.addEventListener("refresh", () => lenis.resize());
+  const handleRefresh = () => lenis.resize();
+  ScrollTrigger.addEventListener("refresh", handleRefresh);
+
+  // Re-split text when it reflows; split heights can move triggers
+  const stopSplitLayout = watchSplitLayout(() => ScrollTrigger.refresh());
 
   // Wait for fonts to load before splitting text
   document.fonts.ready.then(() => {
+    if (isDestroyed) return;
+
     // Skip complex animations if reduced motion preferred
-    if (prefersReducedMotion) {
-      initReducedMotionAnimations();
-    } else {
-      initHeroOrchestration();
-      initRevealAnimations();
-      initParallaxAnimations();
-      initVelocityBlur();
-      initFooterInvert();
-      initScrollProgress();
-    }
+    const effects = prefersReducedMotion()
+      ? [
+          ["reducedMotion", initReducedMotionAnimations],
+          ["countUp", () => initCountUp({ immediate: true })],
+          ["scrollProgress", () => initScrollProgress({ immediate: true })],
+        ]
+      : [
+          ["hero", initHeroOrchestration],
+          ["reveals", initRevealAnimations],
+          ["parallax", initParallaxAnimations],
+          ["velocity", initVelocityBlur],
+          ["footer", initFooterInvert],
+          ["splitText", initSplitTextAnimations],
+          ["countUp", initCountUp],
+          ["process", initProcessTimeline],
+          ["scrollProgress", initScrollProgress],
+        ];
+
+    ctx.add(() => {
+      effects.forEach(([name, effect]) => {
+        try {
+          cleanups.push(effect());
+        } catch (error) {
+          onError(error, { module: `animations.${name}` });
+          // Never leave content stuck at its hidden start state
+          if (CONTENT_EFFECTS.includes(name)) showAllContent();
+        }
+      });
+    });
   });
+
+  return function cleanup() {
+    isDestroyed = true;
+    offScroll();
+    ScrollTrigger.removeEventListener("refresh", handleRefresh);
+    stopSplitLayout();
+
+    // Revert GSAP first so inline styles are restored before DOM is unsplit
+    ctx.revert();
+    cleanups.forEach((fn) => fn && fn());
+    cleanups.length = 0;
+
+    scrollVelocity = 0;
+    if (currentLenis === lenis) currentLenis = null;
+  };
+}
+
+/**
+ * Fallback when a reveal effect fails - show everything immediately
+ */
+export function showAllContent() {
+  const hidden = document.querySelectorAll("[data-reveal], .hero-headline");
+  // Split fragments are hidden by CSS (.char) too, so set them visible
+  const fragments = document.querySelectorAll(".char, .word, .line");
+  gsap.killTweensOf([...hidden, ...fragments]);
+  gsap.set(hidden, { clearProps: "opacity,transform,filter" });
+  gsap.set(fragments, {
+    opacity: 1,
+    x: 0,
+    y: 0,
+    yPercent: 0,
+    rotateX: 0,
+    z: 0,
+  });
+  document
+    .querySelectorAll("[data-reveal]")
+    .forEach((el) => el.classList.add("revealed"));
 }
 
 /**
@@ -136,23 +226,33 @@ function initHeroOrchestration() {
 
   if (!heroHeadline) return;
 
-  // Split each line into characters for premium stagger effect
-  const splits = [];
-  heroLines.forEach((line) => {
-    const split = new SplitType(line, {
-      types: "chars",
-      tagName: "span",
-    });
-    splits.push(split);
+  // Split into characters (data-split-type) for premium stagger effect
+  const heroSplit = splitText(heroHeadline, {
+    defaultType: "chars",
+    // New layout: finish the intro instead of replaying it
+    onResplit: (chars) => {
+      heroTimeline.progress(1);
+      gsap.set(chars, {
+        y: 0,
+        opacity: 1,
+        rotateX: 0,
+        z: 0,
+        transformOrigin: "center bottom",
+      });
+      bindCharHover(chars);
+    },
   });
+  const splits = Array.from(heroLines, (line) =>
+    heroSplit.targets.filter((fragment) => line.contains(fragment)),
+  );
 
   // Add perspective for 3D depth
   heroHeadline.style.perspective = "1200px";
   heroHeadline.style.perspectiveOrigin = "50% 100%";
 
   // Set initial states - characters emerge from below with rotation
-  splits.forEach((split, lineIndex) => {
-    gsap.set(split.chars, {
+  splits.forEach((fragments) => {
+    gsap.set(fragments, {
       y: 150,
       opacity: 0,
       rotateX: -45,
@@ -179,7 +279,7 @@ function initHeroOrchestration() {
   // Phase 2: First line (LIQUID) - filled text emerges
   if (splits[0]) {
     heroTimeline.to(
-      splits[0].chars,
+      splits[0],
       {
         y: 0,
         opacity: 1,
@@ -199,7 +299,7 @@ function initHeroOrchestration() {
   // Phase 3: Second line (HISTORY) - outline text with slight delay
   if (splits[1]) {
     heroTimeline.to(
-      splits[1].chars,
+      splits[1],
       {
         y: 0,
         opacity: 1,
@@ -273,9 +373,13 @@ function initHeroOrchestration() {
     );
   }
 
+  // Restarted (motion preference change, HMR) - land on the finished intro
+  if (heroIntroPlayed) heroTimeline.progress(1);
+  heroIntroPlayed = true;
+
   // Interactive: Characters react to hover
-  splits.forEach((split) => {
-    split.chars.forEach((char) => {
+  function bindCharHover(chars) {
+    chars.forEach((char) => {
       char.addEventListener("mouseenter", () => {
         gsap.to(char, {
           y: -8,
@@ -293,7 +397,8 @@ function initHeroOrchestration() {
         });
       });
     });
-  });
+  }
+  bindCharHover(heroSplit.targets);
 
   // Parallax effect on scroll - headline moves slower than scroll
   ScrollTrigger.create({
@@ -309,29 +414,38 @@ function initHeroOrchestration() {
       });
     },
   });
+
+  // Restore original markup (also drops the char hover listeners)
+  return () => {
+    heroSplit.revert();
+    heroHeadline.style.perspective = "";
+    heroHeadline.style.perspectiveOrigin = "";
+  };
 }
 
 /**
  * Scroll-triggered reveal animations with temporal variety
+ * Motion comes from the element's data-reveal preset (see reveal-presets.js)
  * Uses gsap.matchMedia for responsive animation values
  */
 function initRevealAnimations() {
   const reveals = document.querySelectorAll("[data-reveal]");
 
   // Use matchMedia for responsive animation values
-  // Mobile: smaller Y offset (30px) to prevent overlap
-  // Desktop: larger Y offset (60-80px) for dramatic effect
+  // Mobile: smaller offsets to prevent overlap
+  // Desktop: larger offsets for dramatic effect
   const mm = gsap.matchMedia();
 
   mm.add(
     {
-      isMobile: "(max-width: 768px)",
-      isDesktop: "(min-width: 769px)",
+      isMobile: MEDIA_QUERIES.mobile,
+      isDesktop: MEDIA_QUERIES.tablet,
     },
     (context) => {
       const { isMobile } = context.conditions;
+      const splits = [];
 
-      reveals.forEach((el, index) => {
+      reveals.forEach((el) => {
         // Skip hero elements (handled separately)
         if (el.closest("#hero")) return;
 
@@ -341,49 +455,79 @@ function initRevealAnimations() {
           el.tagName.match(/^H[1-6]$/) ||
           el.classList.contains("heading-section");
 
-        // Responsive Y offset: Mobile uses smaller values to prevent overlap
-        const yOffset = isMobile ? 30 : isHeading ? 80 : 60;
-        // Reduce blur on mobile for better performance and cleaner edges
-        const blurAmount = isMobile ? "blur(4px)" : "blur(8px)";
-
-        // Set initial state with responsive values
-        gsap.set(el, {
-          y: yOffset,
-          opacity: 0,
-          filter: blurAmount,
+        const presetContext = { isMobile, isHeading };
+        const preset = getRevealPreset(el.dataset.reveal);
+        const { duration, ease, start, once } = getRevealOptions(
+          el,
+          preset,
+          presetContext,
+        );
+
+        const from = preset.from(el, presetContext);
+        let isRevealed = false;
+
+        // Split presets animate the parts; the element itself just shows
+        const split = preset.split?.(el, {
+          onResplit: (fragments) => {
+            gsap.set(
+              fragments,
+              withoutBlur(isRevealed ? preset.to(el, presetContext) : from),
+            );
+          },
         });
+        if (split) splits.push(split);
+        // Fragments change when the text is re-split
+        const getTargets = () => (split ? split.targets : el);
+
+        // Replace the CSS start state, then set the preset's
+        gsap.set(el, { y: 0, opacity: 1 });
+        gsap.set(getTargets(), withoutBlur(from));
 
         ScrollTrigger.create({
           trigger: el,
-          start: "top 88%",
+          start,
+          once,
           onEnter: () => {
-            gsap.to(el, {
-              y: 0,
-              opacity: 1,
-              filter: "blur(0px)",
-              duration: isHeading ? 1.2 : 0.9,
+            isRevealed = true;
+            // The tier may have dropped since the start state was set
+            if (!getQuality().blur) gsap.set(getTargets(), { filter: "none" });
+            gsap.to(getTargets(), {
+              ...withoutBlur(preset.to(el, presetContext)),
+              duration,
               delay: delay * 0.15,
-              ease: "expo.out",
+              ease,
+              stagger: preset.stagger,
+              overwrite: true,
             });
           },
           onLeaveBack: () => {
-            gsap.to(el, {
-              y: yOffset,
-              opacity: 0,
-              filter: blurAmount,
+            if (once) return;
+            isRevealed = false;
+            gsap.to(getTargets(), {
+              ...withoutBlur(from),
               duration: 0.4,
               ease: "power2.in",
+              overwrite: true,
             });
           },
         });
       });
 
-      // Return cleanup function for matchMedia
-      return () => {
-        // ScrollTrigger instances are automatically cleaned up by matchMedia
-      };
+      // Tweens and ScrollTriggers are reverted by matchMedia; restore the text
+      return () => splits.forEach((split) => split.revert());
     },
   );
+
+  return () => mm.revert();
+}
+
+/**
+ * Drop a preset's blur filter when the quality tier disallows it
+ */
+function withoutBlur(vars) {
+  if (getQuality().blur || !("filter" in vars)) return vars;
+  const { filter, ...rest } = vars;
+  return rest;
 }
 
 /**
@@ -418,11 +562,15 @@ function initParallaxAnimations() {
  * Scroll-velocity motion effect
  * Uses GPU-accelerated transforms instead of expensive filter: blur()
  * Creates subtle skew effect during fast scroll for "motion" feel
+ * Owns only skewY, so it stacks with other transforms on the same target.
+ * Card images are left out - their hover zoom is a CSS transform that an
+ * inline GSAP transform would override.
  */
 function initVelocityBlur() {
   const motionTargets = document.querySelectorAll(
-    ".heading-hero, .heading-section, .h-scroll-card img",
+    ".heading-hero, .heading-section",
   );
+  if (!motionTargets.length) return;
 
   // Pre-set will-change for GPU compositing
   motionTargets.forEach((target) => {
@@ -430,30 +578,71 @@ function initVelocityBlur() {
     target.style.backfaceVisibility = "hidden";
   });
 
+  // Skew goes through GSAP's transform cache so it composes with the
+  // reveal y, parallax scale and magnetic x/y on the same element
+  const setSkew = gsap.quickSetter(motionTargets, "skewY", "deg");
+
+  // At rest, drop the inline transform from targets no other effect has
+  // moved, so they don't keep a translate(0, 0) forever
+  const settle = () => {
+    gsap.set(motionTargets, { skewY: 0 });
+    motionTargets.forEach((target) => {
+      if (hasIdentityTransform(target)) {
+        gsap.set(target, { clearProps: "transform" });
+      }
+    });
+  };
+
   // State for smooth interpolation
-  const motionProxy = { skew: 0 };
+  const motionProxy = { skew: 0, applied: 0 };
 
   // Update motion effect based on scroll velocity
-  gsap.ticker.add(() => {
-    // Calculate target skew (capped for subtlety)
-    const targetSkew = Math.max(-2, Math.min(scrollVelocity * 0.15, 2));
+  const updateMotion = () => {
+    // Calculate target skew (capped for subtlety); eases out when the
+    // quality tier drops it
+    const targetSkew = getQuality().skew
+      ? Math.max(-2, Math.min(scrollVelocity * 0.15, 2))
+      : 0;
 
     // Smooth interpolation toward target
     motionProxy.skew += (targetSkew - motionProxy.skew) * 0.12;
 
-    // Only apply transforms when there's meaningful motion
-    if (Math.abs(motionProxy.skew) > 0.01) {
-      motionTargets.forEach((target) => {
-        // Use skewY for vertical scroll motion feel (GPU-accelerated)
-        target.style.transform = `skewY(${motionProxy.skew}deg)`;
-      });
+    // Settle to exactly 0 when static, and skip writes once settled
+    const skew = Math.abs(motionProxy.skew) > 0.01 ? motionProxy.skew : 0;
+    if (skew === motionProxy.applied) return;
+
+    motionProxy.applied = skew;
+    if (skew === 0) {
+      settle();
     } else {
-      // Clear transforms when static
-      motionTargets.forEach((target) => {
-        target.style.transform = "";
-      });
+      setSkew(skew);
     }
-  });
+  };
+  const stopFrame = onFrame(updateMotion);
+
+  return () => {
+    stopFrame();
+    // Zero only the skew; other effects keep their part of the transform
+    settle();
+    motionTargets.forEach((target) => {
+      target.style.willChange = "";
+      target.style.backfaceVisibility = "";
+    });
+  };
+}
+
+// Nothing in GSAP's transform cache but defaults (skew already zeroed)
+function hasIdentityTransform(target) {
+  const get = gsap.getProperty(target);
+  return (
+    get("x") === 0 &&
+    get("y") === 0 &&
+    get("xPercent") === 0 &&
+    get("yPercent") === 0 &&
+    get("rotation") === 0 &&
+    get("scaleX") === 1 &&
+    get("scaleY") === 1
+  );
 }
 
 /**
@@ -464,17 +653,26 @@ function initFooterInvert() {
   if (!footer) return;
 
   // Create dramatic entrance
-  const footerHeading = footer.querySelector(".heading-hero");
+  const footerHeading = footer.querySelector(
+    ".heading-hero, [data-split-text]",
+  );
   const footerElements = footer.querySelectorAll("[data-reveal]");
+  let footerSplit = null;
+  let isRevealed = false;
 
   if (footerHeading) {
     // Split footer heading for staggered reveal
-    const footerSplit = new SplitType(footerHeading, {
-      types: "chars",
-      tagName: "span",
+    footerSplit = splitText(footerHeading, {
+      defaultType: "chars",
+      onResplit: (chars) => {
+        gsap.set(
+          chars,
+          isRevealed ? { y: 0, opacity: 1 } : { y: 100, opacity: 0 },
+        );
+      },
     });
 
-    gsap.set(footerSplit.chars, {
+    gsap.set(footerSplit.targets, {
       y: 100,
       opacity: 0,
     });
@@ -483,7 +681,8 @@ function initFooterInvert() {
       trigger: footer,
       start: "top 70%",
       onEnter: () => {
-        gsap.to(footerSplit.chars, {
+        isRevealed = true;
+        gsap.to(footerSplit.targets, {
           y: 0,
           opacity: 1,
           duration: 1,
@@ -514,39 +713,184 @@ function initFooterInvert() {
       });
     },
   });
+
+  return () => footerSplit?.revert();
 }
 
 /**
- * Scroll progress indicator (subtle line at top)
+ * Staggered entrance for any other [data-split-text] element
+ * Runs after the hero and footer, which split and animate their own.
  */
-function initScrollProgress() {
-  // Create progress bar element
-  const progressBar = document.createElement("div");
-  progressBar.className = "scroll-progress";
-  progressBar.style.cssText = `
-    position: fixed;
-    top: 0;
-    left: 0;
-    height: 2px;
-    background: linear-gradient(90deg, #964B00, #FAFAFA);
-    transform-origin: left;
-    transform: scaleX(0);
-    z-index: 9999;
-    pointer-events: none;
-  `;
-  document.body.appendChild(progressBar);
-
-  // Animate on scroll
-  gsap.to(progressBar, {
-    scaleX: 1,
-    ease: "none",
-    scrollTrigger: {
-      trigger: document.body,
-      start: "top top",
-      end: "bottom bottom",
-      scrub: 0.3,
-    },
+function initSplitTextAnimations() {
+  const splits = [];
+
+  document.querySelectorAll("[data-split-text]").forEach((el) => {
+    if (isSplit(el)) return;
+
+    let isRevealed = false;
+    const split = splitText(el, {
+      onResplit: (fragments) => {
+        gsap.set(fragments, isRevealed ? { yPercent: 0, opacity: 1 } : from);
+      },
+    });
+    const { from, ...timing } = SPLIT_ANIMATIONS[split.type];
+    splits.push(split);
+
+    gsap.set(split.targets, from);
+
+    ScrollTrigger.create({
+      trigger: el,
+      start: "top 85%",
+      once: true,
+      onEnter: () => {
+        isRevealed = true;
+        gsap.to(split.targets, { yPercent: 0, opacity: 1, ...timing });
+      },
+    });
   });
+
+  return () => splits.forEach((split) => split.revert());
+}
+
+/**
+ * Process timeline: Survey → Pour → Cure
+ * Desktop: the section pins while the rail fills and each step lights in turn
+ * Mobile: vertical stepper, scrubbed as the steps pass the viewport centre
+ * The "28 days" cure counter scrubs over the last step.
+ * Keyboard users get the static layout: a pinned section would hold focus
+ * out of view. Nothing is ever hidden from screen readers.
+ */
+function initProcessTimeline() {
+  const section = document.getElementById("process");
+  const timeline = section?.querySelector(".process-timeline");
+  if (!timeline) return;
+
+  const steps = timeline.querySelectorAll(".process-step");
+  const fill = timeline.querySelector(".process-rail-fill");
+  const cureCount = timeline.querySelector(".process-cure-count");
+  const cureDays = parseInt(cureCount?.textContent, 10) || 28;
+  const cure = { days: cureDays };
+
+  const renderCure = () => {
+    if (cureCount) cureCount.textContent = Math.round(cure.days);
+  };
+
+  const setActive = (progress) => {
+    const index = Math.min(
+      steps.length - 1,
+      Math.floor(progress * steps.length),
+    );
+    steps.forEach((step, i) => step.classList.toggle("active", i === index));
+  };
+
+  const mm = gsap.matchMedia();
+  let pinTrigger = null;
+
+  mm.add(
+    {
+      isMobile: MEDIA_QUERIES.mobile,
+      isDesktop: MEDIA_QUERIES.tablet,
+    },
+    (context) => {
+      const { isDesktop } = context.conditions;
+
+      timeline.classList.add("is-scrubbed");
+      setActive(0);
+
+      const scrollTrigger = isDesktop
+        ? {
+            trigger: section,
+            // Pin once the whole section is in view
+            start: () =>
+              section.offsetHeight > window.innerHeight
+                ? "bottom bottom"
+                : "top top",
+            end: () => `+=${window.innerHeight * 2}`,
+            pin: true,
+            anticipatePin: 1,
+          }
+        : {
+            trigger: timeline,
+            start: "top center",
+            end: "bottom center",
+          };
+
+      const sequence = gsap.timeline({
+        scrollTrigger: {
+          ...scrollTrigger,
+          scrub: 1,
+          invalidateOnRefresh: true,
+          onUpdate: (self) => setActive(self.progress),
+        },
+      });
+      pinTrigger = isDesktop ? sequence.scrollTrigger : null;
+
+      sequence.fromTo(
+        fill,
+        isDesktop ? { scaleX: 0 } : { scaleY: 0 },
+        { scaleX: 1, scaleY: 1, duration: 1, ease: "pour" },
+        0,
+      );
+
+      // Cure counter runs over the last step's share of the scroll
+      const cureShare = 1 / steps.length;
+      sequence.fromTo(
+        cure,
+        { days: 0 },
+        {
+          days: cureDays,
+          duration: cureShare,
+          ease: "none",
+          onUpdate: renderCure,
+        },
+        1 - cureShare,
+      );
+
+      return () => {
+        pinTrigger = null;
+        timeline.classList.remove("is-scrubbed");
+        steps.forEach((step) => step.classList.remove("active"));
+        cure.days = cureDays;
+        renderCure();
+      };
+    },
+  );
+
+  // Keyboard or screen-reader focus arriving in the section (e.g. a skip
+  // link or chapter tick) drops the pin for good. Not a mouse click that
+  // happens to focus it, and not a Tab anywhere else on the page.
+  const controller = new AbortController();
+  section.addEventListener(
+    "focusin",
+    (e) => {
+      if (!e.target.matches(":focus-visible")) return;
+      controller.abort();
+
+      // The pin spacing disappears - keep whatever is on screen in place
+      const scroll = currentLenis?.scroll ?? window.scrollY;
+      const removed = pinTrigger
+        ? Math.min(
+            Math.max(scroll - pinTrigger.start, 0),
+            pinTrigger.end - pinTrigger.start,
+          )
+        : 0;
+
+      mm.revert();
+      ScrollTrigger.refresh();
+      if (removed) {
+        currentLenis?.scrollTo(scroll - removed, {
+          immediate: true,
+          force: true,
+        });
+      }
+    },
+    { signal: controller.signal },
+  );
+
+  return () => {
+    controller.abort();
+    mm.revert();
+  };
 }
 
 /**
@@ -563,3 +907,8 @@ export function refreshAnimations() {
 export function getScrollVelocity() {
   return scrollVelocity;
 }
+
+/**
+ * Utility: Add a custom data-reveal preset (see reveal-presets.js)
+ */
+export { registerRevealPreset } from "./reveal-presets.js";
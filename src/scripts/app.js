@@ -0,0 +1,239 @@
+/**
+ * App Controller Module
+ * Central lifecycle registry for every interactive module
+ *
+ * Features:
+ * - Modules register init(context) and destroy()
+ * - Dependencies declared by name and started first
+ * - Shared instances (e.g. Lenis) passed to dependents via context
+ * - Individual restart without duplicated listeners
+ * - Restarting a dependency restarts everything built on it
+ * - Hot-swap hook so HMR can replace a module's code between stop and start
+ * - Fault isolation: a module that throws is reported, the rest still start,
+ *   and its context.signal is aborted so anything it wired before the throw
+ *   is torn down
+ */
+
+/**
+ * Create the app controller
+ * @param {Object} options
+ * @param {Function} options.onError - onError(error, { module, phase }) for
+ *   failed modules (default: console.error)
+ * @returns {Object} Controller with register/start/stop/restart/get
+ */
+export function createApp({ onError = defaultErrorHandler } = {}) {
+  const registry = new Map();
+
+  /**
+   * Register a module definition
+   *
+   * Definition:
+   * - name     Required. Unique module name, also its key in dependents' context
+   * - deps     Names of modules that must be running first (default: [])
+   * - init     Required. init(context) => instance. Context holds `app`,
+   *            `reportError(error, detail)` for failures after init,
+   *            `signal`, aborted when init throws or the module stops, and
+   *            the instance of each dependency under its name.
+   * - destroy  Optional. destroy(instance). Without it, an instance that is
+   *            a function (cleanup) or has a destroy() method is torn down.
+   */
+  function register(definition) {
+    const { name, deps = [], init, destroy = null } = definition;
+
+    if (!name || typeof init !== "function") {
+      throw new Error("App modules need a name and an init function");
+    }
+    if (registry.has(name)) {
+      throw new Error(`App module "${name}" is already registered`);
+    }
+
+    registry.set(name, {
+      name,
+      deps,
+      init,
+      destroy,
+      instance: undefined,
+      lifecycle: null,
+      active: false,
+      failed: false,
+    });
+
+    return app;
+  }
+
+  function getEntry(name) {
+    const entry = registry.get(name);
+    if (!entry) throw new Error(`Unknown app module "${name}"`);
+    return entry;
+  }
+
+  /**
+   * Start a module (and its dependencies) if not already running
+   * Failures are reported and leave the module stopped; they never throw.
+   * An explicit start retries a module that failed before.
+   * @returns {*} The module instance, or undefined if it failed
+   */
+  function start(name) {
+    getEntry(name).failed = false;
+    return startModule(name, new Set());
+  }
+
+  function startModule(name, starting) {
+    const entry = getEntry(name);
+    if (entry.active) return entry.instance;
+    if (entry.failed) return undefined;
+
+    if (starting.has(name)) {
+      onError(new Error(`Circular app module dependency at "${name}"`), {
+        module: name,
+        phase: "init",
+      });
+      return undefined;
+    }
+    starting.add(name);
+
+    const lifecycle = new AbortController();
+    const context = {
+      app,
+      signal: lifecycle.signal,
+      reportError: (error, detail) =>
+        onError(error, { module: name, phase: "runtime", ...detail }),
+    };
+
+    for (const dep of entry.deps) {
+      context[dep] = startModule(dep, starting);
+
+      // Never init against a dependency that failed to start
+      if (!isActive(dep)) {
+        onError(new Error(`Dependency "${dep}" is not running`), {
+          module: name,
+          phase: "init",
+        });
+        return undefined;
+      }
+    }
+
+    try {
+      entry.instance = entry.init(context);
+      entry.lifecycle = lifecycle;
+      entry.active = true;
+    } catch (error) {
+      entry.instance = undefined;
+      entry.failed = true;
+      onError(error, { module: name, phase: "init" });
+      lifecycle.abort();
+    }
+
+    return entry.instance;
+  }
+
+  /**
+   * Stop a module, tearing down its dependents first
+   */
+  function stop(name) {
+    const entry = getEntry(name);
+    if (!entry.active) return;
+
+    getDependents(name).forEach(stop);
+
+    const { instance, lifecycle } = entry;
+    entry.active = false;
+    entry.instance = undefined;
+    entry.lifecycle = null;
+
+    try {
+      if (entry.destroy) {
+        entry.destroy(instance);
+      } else if (typeof instance === "function") {
+        instance();
+      } else if (instance && typeof instance.destroy === "function") {
+        instance.destroy();
+      }
+    } catch (error) {
+      onError(error, { module: name, phase: "destroy" });
+    }
+    lifecycle.abort();
+  }
+
+  /**
+   * Restart a single module in place
+   * Dependents that were running are restarted against the new instance.
+   * @param {string} name - Module name
+   * @param {Function} beforeStart - Optional hook run between teardown and
+   *   re-init (e.g. to swap in hot-updated code)
+   */
+  function restart(name, beforeStart) {
+    const running = collectRunningDependents(name);
+
+    stop(name);
+    if (beforeStart) beforeStart();
+    start(name);
+    running.forEach((dependent) => start(dependent));
+
+    return getEntry(name).instance;
+  }
+
+  /**
+   * Start every registered module in registration order
+   * Modules that fail are attempted once, not again for each dependent.
+   */
+  function startAll() {
+    registry.forEach((entry) => {
+      entry.failed = false;
+    });
+    registry.forEach((_, name) => startModule(name, new Set()));
+  }
+
+  /**
+   * Stop every running module, most recently registered first
+   */
+  function stopAll() {
+    [...registry.keys()].reverse().forEach(stop);
+  }
+
+  /**
+   * Get a running module's instance
+   */
+  function get(name) {
+    return registry.get(name)?.instance;
+  }
+
+  function isActive(name) {
+    return Boolean(registry.get(name)?.active);
+  }
+
+  // Direct dependents of a module
+  function getDependents(name) {
+    return [...registry.values()]
+      .filter((entry) => entry.deps.includes(name))
+      .map((entry) => entry.name);
+  }
+
+  // Running dependents at any depth, in start order
+  function collectRunningDependents(name, found = new Set()) {
+    getDependents(name).forEach((dependent) => {
+      if (isActive(dependent) && !found.has(dependent)) {
+        found.add(dependent);
+        collectRunningDependents(dependent, found);
+      }
+    });
+    return [...registry.keys()].filter((key) => found.has(key));
+  }
+
+  const app = {
+    register,
+    start,
+    stop,
+    restart,
+    startAll,
+    stopAll,
+    get,
+    isActive,
+  };
+
+  return app;
+}
+
+function defaultErrorHandler(error, { module, phase }) {
+  console.error(`App module "${module}" failed during ${phase}:`, error);
+}
@@ -0,0 +1,122 @@
+/**
+ * Count-Up Module
+ * Stats that count to their value when scrolled into view
+ *
+ * Features:
+ * - "pour" easing, same as the rest of the site's signature motion
+ * - Width reserved up front so the layout never jitters while counting
+ * - Ordinal output ("1st", "2nd", "3rd")
+ * - Final values immediately for reduced motion
+ *
+ * Data attributes:
+ * - data-count-to      Required. Final value
+ * - data-count-from    Start value (default: 0)
+ * - data-count-suffix  Text after the number (e.g. "+")
+ * - data-count-format  "number" (default, digit grouping) | "ordinal"
+ */
+
+import gsap from "gsap";
+import { ScrollTrigger } from "gsap/ScrollTrigger";
+import "./eases.js";
+
+gsap.registerPlugin(ScrollTrigger);
+
+const COUNT_DURATION = 2; // seconds
+
+const numberFormat = new Intl.NumberFormat("en-US");
+const ordinalRules = new Intl.PluralRules("en-US", { type: "ordinal" });
+const ORDINAL_SUFFIXES = { one: "st", two: "nd", few: "rd", other: "th" };
+
+/**
+ * Initialize count-up stats
+ * Call inside a gsap.context so tweens and ScrollTriggers are reverted with it.
+ * @param {Object} options
+ * @param {boolean} options.immediate - Show final values without counting
+ * @returns {Function} Cleanup function
+ */
+export function initCountUp({ immediate = false } = {}) {
+  const counters = document.querySelectorAll("[data-count-to]");
+  const originals = [];
+  // Started from onEnter, after the gsap.context stopped recording, so
+  // ctx.revert() never sees them
+  const tweens = new Set();
+
+  counters.forEach((el) => {
+    const to = parseFloat(el.dataset.countTo);
+    if (!Number.isFinite(to)) return;
+
+    const from = parseFloat(el.dataset.countFrom) || 0;
+    const render = (value) => {
+      el.textContent = formatCount(value, el.dataset);
+    };
+
+    originals.push([el, el.textContent, el.style.minWidth]);
+
+    if (immediate) {
+      render(to);
+      return;
+    }
+
+    reserveWidth(el, [
+      formatCount(from, el.dataset),
+      formatCount(to, el.dataset),
+    ]);
+
+    const counter = { value: from };
+    render(from);
+
+    ScrollTrigger.create({
+      trigger: el,
+      start: "top 85%",
+      once: true,
+      onEnter: () => {
+        const tween = gsap.to(counter, {
+          value: to,
+          duration: COUNT_DURATION,
+          ease: "pour",
+          onUpdate: () => render(counter.value),
+          onComplete: () => tweens.delete(tween),
+        });
+        tweens.add(tween);
+      },
+    });
+  });
+
+  return () => {
+    tweens.forEach((tween) => tween.kill());
+    tweens.clear();
+    originals.forEach(([el, text, minWidth]) => {
+      el.textContent = text;
+      el.style.minWidth = minWidth;
+    });
+  };
+}
+
+/**
+ * Format a (possibly mid-tween) value for display
+ * @param {number} value
+ * @param {DOMStringMap} options - Element dataset (countFormat, countSuffix)
+ */
+export function formatCount(value, { countFormat, countSuffix = "" } = {}) {
+  const rounded = Math.round(value);
+
+  if (countFormat === "ordinal") {
+    return `${rounded}${ORDINAL_SUFFIXES[ordinalRules.select(rounded)]}${countSuffix}`;
+  }
+  return `${numberFormat.format(rounded)}${countSuffix}`;
+}
+
+/**
+ * Hold the widest of the given texts, in em so it scales with fluid type
+ */
+function reserveWidth(el, texts) {
+  const fontSize = parseFloat(getComputedStyle(el).fontSize) || 16;
+  const widest = Math.max(
+    ...texts.map((text) => {
+      el.textContent = text;
+      return el.getBoundingClientRect().width;
+    }),
+  );
+
+  el.style.minWidth = `${widest / fontSize}em`;
+}
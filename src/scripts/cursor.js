@@ -4,42 +4,97 @@
  *
  * Features:
  * - Blend mode for visibility on any background
- * - Contextual text labels ("View", "Drag", "Explore")
+ * - Contextual states from data attributes ("View", "Drag", "Explore"...)
+ * - Delegated hover tracking (works for elements added later)
  * - Velocity-based stretching
  * - "Stuck" mode for magnetic elements
- * - Performance optimized with RAF and visibility API
+ * - Runs on the shared frame scheduler (suspended while the tab is hidden)
+ * - Can be switched off in the preferences panel
+ * - Only with a hover pointer (restarted when that changes)
  */
 
 import gsap from "gsap";
-
-// Cursor text labels for different contexts
-const CURSOR_LABELS = {
-  card: "View",
-  drag: "Drag",
-  link: "→",
-  video: "Play",
-  image: "Explore",
+import { getPreference } from "./preferences.js";
+import { onFrame, FRAME_PRIORITY } from "./frame-scheduler.js";
+import { getViewport } from "./viewport.js";
+
+// States for data-cursor="<name>"
+const CURSOR_STATES = {
+  view: {
+    label: "View",
+    className: "hover-text",
+    outline: {
+      scale: 3,
+      borderColor: "transparent",
+      backgroundColor: "rgba(250, 250, 250, 0.1)",
+    },
+    hideDot: true,
+  },
+  explore: {
+    label: "Explore",
+    className: "hover-text",
+    outline: { scale: 2.5, borderColor: "#964B00" },
+    hideDot: true,
+  },
+  play: {
+    label: "Play",
+    className: "hover-text",
+    outline: {
+      scale: 3,
+      borderColor: "transparent",
+      backgroundColor: "rgba(150, 75, 0, 0.3)",
+    },
+    hideDot: true,
+  },
+  drag: { label: "Drag", className: "hover-drag" },
+  // Custom cursor out of the way (native cursor shows)
+  hidden: { className: "cursor-hidden", hidden: true },
 };
 
+const DEFAULT_CURSOR_STATE = "view";
+
+// Unknown data-cursor values already warned about
+const warnedCursorStates = new Set();
+
+const STATE_CLASSES = ["hover-text", "hover-drag", "cursor-hidden"];
+
+// Links, buttons and other interactive elements
+const HOVER_SELECTOR =
+  'a, button, [data-magnetic], input, textarea, [role="button"]';
+
 /**
  * Initialize custom cursor with all premium effects
+ *
+ * Data attributes (any element; the innermost one under the pointer wins):
+ * - data-cursor        "view" | "drag" | "play" | "explore" | "hidden"
+ * - data-cursor-label  Text shown instead of the state's default label
+ * - data-cursor-color  Outline colour while over the element
+ *
+ * @returns {Function} Cleanup function
  */
 export function initCursor() {
-  // Skip on touch devices
-  if ("ontouchstart" in window || navigator.maxTouchPoints > 0) {
+  // Skip without a hover pointer (touch, pen), or when switched off
+  if (!getViewport().canHover || getPreference("disableCursor")) {
     const cursor = document.getElementById("cursor");
     if (cursor) cursor.style.display = "none";
-    return;
+    return () => {
+      if (cursor) cursor.style.display = "";
+    };
   }
 
   const cursor = document.getElementById("cursor");
-  if (!cursor) return;
+  if (!cursor) return () => {};
+
+  // Single abort signal removes every listener on teardown
+  const controller = new AbortController();
+  const { signal } = controller;
 
   const cursorDot = cursor.querySelector(".cursor-dot");
   const cursorOutline = cursor.querySelector(".cursor-outline");
 
   // Create cursor text element for labels
   let cursorText = cursor.querySelector(".cursor-text");
+  const createdText = !cursorText;
   if (!cursorText) {
     cursorText = document.createElement("span");
     cursorText.className = "cursor-text";
@@ -54,43 +109,52 @@ export function initCursor() {
   let prevMouseY = mouseY;
   let outlineX = mouseX;
   let outlineY = mouseY;
-  let rafId = null;
-  let isVisible = true;
   let isStuck = false;
   let stuckTarget = null;
+  let stuckCenter = null;
   let velocity = { x: 0, y: 0 };
 
   // Track mouse position with velocity
-  document.addEventListener("mousemove", (e) => {
-    prevMouseX = mouseX;
-    prevMouseY = mouseY;
-    mouseX = e.clientX;
-    mouseY = e.clientY;
-
-    // Calculate velocity for morphing
-    velocity.x = mouseX - prevMouseX;
-    velocity.y = mouseY - prevMouseY;
-  });
+  document.addEventListener(
+    "mousemove",
+    (e) => {
+      prevMouseX = mouseX;
+      prevMouseY = mouseY;
+      mouseX = e.clientX;
+      mouseY = e.clientY;
+
+      // Calculate velocity for morphing
+      velocity.x = mouseX - prevMouseX;
+      velocity.y = mouseY - prevMouseY;
+    },
+    { signal },
+  );
 
-  // Animation loop with velocity-based morphing
-  function animate() {
-    if (!isVisible) {
-      rafId = requestAnimationFrame(animate);
+  // Layout read - centre of the stuck element this frame
+  function measure() {
+    if (!isStuck || !stuckTarget) {
+      stuckCenter = null;
       return;
     }
 
+    const rect = stuckTarget.getBoundingClientRect();
+    stuckCenter = {
+      x: rect.left + rect.width / 2,
+      y: rect.top + rect.height / 2,
+    };
+  }
+
+  // Animation loop with velocity-based morphing
+  function animate() {
     // Lerp for smooth following
     const speed = isStuck ? 0.2 : 0.12;
     outlineX += (mouseX - outlineX) * speed;
     outlineY += (mouseY - outlineY) * speed;
 
     // Stuck mode - cursor follows magnetic element
-    if (isStuck && stuckTarget) {
-      const rect = stuckTarget.getBoundingClientRect();
-      const targetX = rect.left + rect.width / 2;
-      const targetY = rect.top + rect.height / 2;
-      outlineX += (targetX - outlineX) * 0.15;
-      outlineY += (targetY - outlineY) * 0.15;
+    if (stuckCenter) {
+      outlineX += (stuckCenter.x - outlineX) * 0.15;
+      outlineY += (stuckCenter.y - outlineY) * 0.15;
     }
 
     // Velocity-based stretching (subtle effect)
@@ -118,36 +182,59 @@ export function initCursor() {
     // Decay velocity
     velocity.x *= 0.9;
     velocity.y *= 0.9;
-
-    rafId = requestAnimationFrame(animate);
   }
 
-  // Start animation
-  animate();
-
-  // Handle visibility changes
-  document.addEventListener("visibilitychange", () => {
-    isVisible = !document.hidden;
-
-    if (document.hidden && rafId) {
-      cancelAnimationFrame(rafId);
-      rafId = null;
-    } else if (!document.hidden && !rafId) {
-      rafId = requestAnimationFrame(animate);
-    }
-  });
+  // Shared frame scheduler - reads before writes, paused while hidden
+  const stopFrames = [
+    onFrame(measure, { priority: FRAME_PRIORITY.read }),
+    onFrame(animate, { priority: FRAME_PRIORITY.write }),
+  ];
 
   // ========================================
   // HOVER STATES WITH CONTEXTUAL LABELS
   // ========================================
 
-  // Standard hover targets (links, buttons)
-  const hoverTargets = document.querySelectorAll(
-    'a, button, [data-magnetic], input, textarea, [role="button"]',
+  // Delegated from the document, so content added at runtime (mobile
+  // menu links, counters, rendered cards) behaves like static markup.
+  // Each kind of target is resolved to the closest match of the element
+  // under the pointer; a leave only ever runs for the target that entered.
+  let hoverTarget = null;
+  let stateTarget = null;
+
+  function updateTargets(element) {
+    setHoverTarget(element?.closest(HOVER_SELECTOR) ?? null);
+    // Innermost tagged element wins
+    setCursorState(element?.closest("[data-cursor]") ?? null);
+    setStuckTarget(element?.closest("[data-magnetic]") ?? null);
+  }
+
+  document.addEventListener(
+    "pointerover",
+    (e) => {
+      if (e.pointerType === "touch") return;
+      updateTargets(e.target instanceof Element ? e.target : null);
+    },
+    { signal },
+  );
+
+  // Moves between elements are covered by the next pointerover - only
+  // leaving the document needs handling here
+  document.addEventListener(
+    "pointerout",
+    (e) => {
+      if (e.pointerType === "touch" || e.relatedTarget) return;
+      updateTargets(null);
+    },
+    { signal },
   );
 
-  hoverTargets.forEach((target) => {
-    target.addEventListener("mouseenter", () => {
+  // Standard hover targets (links, buttons)
+  function setHoverTarget(target) {
+    if (target === hoverTarget) return;
+    const entering = !hoverTarget;
+    hoverTarget = target;
+
+    if (target && entering) {
       cursor.classList.add("hover");
       gsap.to(cursorOutline, {
         scale: 1.8,
@@ -155,8 +242,7 @@ export function initCursor() {
         duration: 0.3,
         ease: "power2.out",
       });
-    });
-    target.addEventListener("mouseleave", () => {
+    } else if (!target) {
       cursor.classList.remove("hover");
       gsap.to(cursorOutline, {
         scale: 1,
@@ -164,205 +250,175 @@ export function initCursor() {
         duration: 0.4,
         ease: "elastic.out(1, 0.5)",
       });
-    });
-  });
+    }
+  }
 
-  // Card hover - "View" label
-  const cardTargets = document.querySelectorAll(
-    ".h-scroll-card, .accordion-item",
-  );
+  // ========================================
+  // DATA-ATTRIBUTE STATES ([data-cursor])
+  // ========================================
+  function setCursorState(target) {
+    if (target === stateTarget) return;
+    stateTarget = target;
 
-  cardTargets.forEach((target) => {
-    target.addEventListener("mouseenter", () => {
-      cursor.classList.add("hover-text");
-      showCursorText(CURSOR_LABELS.card);
-      gsap.to(cursorOutline, {
-        scale: 3,
-        borderColor: "transparent",
-        backgroundColor: "rgba(250, 250, 250, 0.1)",
-        duration: 0.4,
-        ease: "power2.out",
-      });
-      gsap.to(cursorDot, {
-        scale: 0,
-        duration: 0.3,
-        ease: "power2.out",
-      });
-    });
-    target.addEventListener("mouseleave", () => {
-      cursor.classList.remove("hover-text");
-      hideCursorText();
-      gsap.to(cursorOutline, {
-        scale: 1,
-        borderColor: "#FAFAFA",
-        backgroundColor: "transparent",
-        duration: 0.5,
-        ease: "elastic.out(1, 0.5)",
-      });
-      gsap.to(cursorDot, {
-        scale: 1,
-        duration: 0.4,
-        ease: "elastic.out(1, 0.5)",
-      });
-    });
-  });
+    const state = target ? resolveCursorState(target) : null;
+    const label = target?.dataset.cursorLabel ?? state?.label;
+    const color = target?.dataset.cursorColor;
 
-  // Image hover - "Explore" label
-  const imageTargets = document.querySelectorAll(
-    "[data-parallax], .service-image",
-  );
+    cursor.classList.remove(...STATE_CLASSES);
+    if (state?.className) cursor.classList.add(state.className);
 
-  imageTargets.forEach((target) => {
-    target.addEventListener("mouseenter", () => {
-      cursor.classList.add("hover-text");
-      showCursorText(CURSOR_LABELS.image);
-      gsap.to(cursorOutline, {
-        scale: 2.5,
-        borderColor: "#964B00",
-        duration: 0.4,
-        ease: "power2.out",
-      });
-      gsap.to(cursorDot, {
-        scale: 0,
-        duration: 0.3,
-        ease: "power2.out",
-      });
-    });
-    target.addEventListener("mouseleave", () => {
-      cursor.classList.remove("hover-text");
+    if (label && !state.hidden) {
+      showCursorText(label);
+    } else {
       hideCursorText();
-      gsap.to(cursorOutline, {
-        scale: 1,
-        borderColor: "#FAFAFA",
-        duration: 0.5,
-        ease: "elastic.out(1, 0.5)",
-      });
-      gsap.to(cursorDot, {
-        scale: 1,
-        duration: 0.4,
-        ease: "elastic.out(1, 0.5)",
-      });
-    });
-  });
-
-  // Horizontal scroll section - "Drag" label
-  const dragTargets = document.querySelectorAll(".h-scroll-section");
+    }
 
-  dragTargets.forEach((target) => {
-    target.addEventListener("mouseenter", () => {
-      cursor.classList.add("hover-drag");
-      showCursorText(CURSOR_LABELS.drag);
+    gsap.to(cursorOutline, {
+      scale: 1,
+      borderColor: getThemeCursorColor(),
+      backgroundColor: "transparent",
+      ...state?.outline,
+      ...(color && { borderColor: color }),
+      duration: state ? 0.4 : 0.5,
+      ease: state ? "power2.out" : "elastic.out(1, 0.5)",
+      // Hand colours back to the theme's CSS variable once at rest
+      onComplete: state
+        ? null
+        : () =>
+            gsap.set(cursorOutline, {
+              clearProps: "borderColor,backgroundColor",
+            }),
     });
-    target.addEventListener("mouseleave", () => {
-      cursor.classList.remove("hover-drag");
-      hideCursorText();
+    gsap.to(cursorDot, {
+      scale: state?.hideDot ? 0 : 1,
+      duration: state?.hideDot ? 0.3 : 0.4,
+      ease: state?.hideDot ? "power2.out" : "elastic.out(1, 0.5)",
     });
-  });
+  }
 
   // ========================================
   // MAGNETIC "STUCK" MODE
   // ========================================
-  const magneticTargets = document.querySelectorAll("[data-magnetic]");
+  function setStuckTarget(target) {
+    if (target === stuckTarget) return;
+    const entering = !stuckTarget;
+    stuckTarget = target;
+    isStuck = Boolean(target);
 
-  magneticTargets.forEach((target) => {
-    target.addEventListener("mouseenter", () => {
-      isStuck = true;
-      stuckTarget = target;
+    if (target && entering) {
       cursor.classList.add("stuck");
-
       gsap.to(cursorOutline, {
         scale: 2.2,
         duration: 0.3,
         ease: "power2.out",
       });
-    });
-
-    target.addEventListener("mouseleave", () => {
-      isStuck = false;
-      stuckTarget = null;
+    } else if (!target) {
       cursor.classList.remove("stuck");
-
       gsap.to(cursorOutline, {
         scale: 1,
         duration: 0.5,
         ease: "elastic.out(1, 0.5)",
       });
-    });
-  });
+    }
+  }
 
   // ========================================
   // CLICK FEEDBACK
   // ========================================
-  document.addEventListener("mousedown", () => {
-    gsap.to(cursorOutline, {
-      scale: 0.8,
-      duration: 0.15,
-      ease: "power2.in",
-    });
-    gsap.to(cursorDot, {
-      scale: 1.5,
-      duration: 0.15,
-      ease: "power2.in",
-    });
-  });
+  document.addEventListener(
+    "mousedown",
+    () => {
+      gsap.to(cursorOutline, {
+        scale: 0.8,
+        duration: 0.15,
+        ease: "power2.in",
+      });
+      gsap.to(cursorDot, {
+        scale: 1.5,
+        duration: 0.15,
+        ease: "power2.in",
+      });
+    },
+    { signal },
+  );
 
-  document.addEventListener("mouseup", () => {
-    gsap.to(cursorOutline, {
-      scale: 1,
-      duration: 0.4,
-      ease: "elastic.out(1, 0.5)",
-    });
-    gsap.to(cursorDot, {
-      scale: 1,
-      duration: 0.4,
-      ease: "elastic.out(1, 0.5)",
-    });
-  });
+  document.addEventListener(
+    "mouseup",
+    () => {
+      gsap.to(cursorOutline, {
+        scale: 1,
+        duration: 0.4,
+        ease: "elastic.out(1, 0.5)",
+      });
+      gsap.to(cursorDot, {
+        scale: 1,
+        duration: 0.4,
+        ease: "elastic.out(1, 0.5)",
+      });
+    },
+    { signal },
+  );
 
   // ========================================
   // WINDOW ENTER/LEAVE
   // ========================================
-  document.addEventListener("mouseleave", () => {
-    gsap.to(cursor, {
-      opacity: 0,
-      duration: 0.2,
-      ease: "power2.in",
-    });
-  });
+  document.addEventListener(
+    "mouseleave",
+    () => {
+      gsap.to(cursor, {
+        opacity: 0,
+        duration: 0.2,
+        ease: "power2.in",
+      });
+    },
+    { signal },
+  );
 
-  document.addEventListener("mouseenter", () => {
-    gsap.to(cursor, {
-      opacity: 1,
-      duration: 0.3,
-      ease: "power2.out",
-    });
-  });
+  document.addEventListener(
+    "mouseenter",
+    () => {
+      gsap.to(cursor, {
+        opacity: 1,
+        duration: 0.3,
+        ease: "power2.out",
+      });
+    },
+    { signal },
+  );
 
   // ========================================
   // TEXT SELECTION MODE
   // ========================================
-  document.addEventListener("selectstart", () => {
-    cursor.classList.add("selecting");
-    gsap.to(cursorDot, {
-      width: 4,
-      height: 20,
-      borderRadius: 2,
-      duration: 0.2,
-    });
-  });
-
-  document.addEventListener("selectionchange", () => {
-    const selection = window.getSelection();
-    if (selection && selection.toString().length === 0) {
-      cursor.classList.remove("selecting");
+  document.addEventListener(
+    "selectstart",
+    () => {
+      cursor.classList.add("selecting");
       gsap.to(cursorDot, {
-        width: 8,
-        height: 8,
-        borderRadius: "50%",
+        width: 4,
+        height: 20,
+        borderRadius: 2,
         duration: 0.2,
       });
-    }
-  });
+    },
+    { signal },
+  );
+
+  document.addEventListener(
+    "selectionchange",
+    () => {
+      const selection = window.getSelection();
+      if (selection && selection.toString().length === 0) {
+        cursor.classList.remove("selecting");
+        gsap.to(cursorDot, {
+          width: 8,
+          height: 8,
+          borderRadius: "50%",
+          duration: 0.2,
+        });
+      }
+    },
+    { signal },
+  );
 
   // ========================================
   // CURSOR TEXT HELPERS
@@ -385,4 +441,41 @@ export function initCursor() {
       ease: "power2.in",
     });
   }
+
+  return function cleanup() {
+    controller.abort();
+    stopFrames.forEach((stop) => stop());
+
+    const parts = [cursor, cursorDot, cursorOutline, cursorText];
+    gsap.killTweensOf(parts);
+    gsap.set(parts, { clearProps: "all" });
+    cursor.classList.remove("hover", "stuck", "selecting", ...STATE_CLASSES);
+    if (createdText) cursorText.remove();
+  };
+}
+
+/**
+ * State for an element's data-cursor (unknown names fall back to "view")
+ */
+function resolveCursorState(el) {
+  const name = el.dataset.cursor;
+  if (name in CURSOR_STATES) return CURSOR_STATES[name];
+
+  // Once per value, dev only - this runs on every pointerover
+  if (import.meta.env.DEV && !warnedCursorStates.has(name)) {
+    warnedCursorStates.add(name);
+    console.warn(
+      `Unknown data-cursor "${name}", using "${DEFAULT_CURSOR_STATE}"`,
+    );
+  }
+  return CURSOR_STATES[DEFAULT_CURSOR_STATE];
+}
+
+/**
+ * Current theme cursor colour (tweened on <html> by theme.js)
+ */
+function getThemeCursorColor() {
+  return getComputedStyle(document.documentElement)
+    .getPropertyValue("--theme-cursor")
+    .trim();
 }
@@ -0,0 +1,20 @@
+/**
+ * Eases Module
+ * The site's signature easing curves, registered with GSAP by name
+ *
+ * Import this in every module that tweens with one of these names, so the
+ * ease exists however the modules happen to load.
+ */
+
+import gsap from "gsap";
+import { CustomEase } from "gsap/CustomEase";
+
+gsap.registerPlugin(CustomEase);
+
+// These create the premium "feel" that separates award-winning sites
+CustomEase.create("expo-out", "0.16, 1, 0.3, 1");
+CustomEase.create("expo-in-out", "0.87, 0, 0.13, 1");
+CustomEase.create("quint-out", "0.22, 1, 0.36, 1");
+CustomEase.create("elastic-subtle", "0.68, -0.55, 0.265, 1.55");
+// Premium "pour" easing - slow start, accelerate, soft landing (like liquid concrete)
+CustomEase.create("pour", "0.4, 0, 0.2, 1");
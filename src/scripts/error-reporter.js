@@ -0,0 +1,107 @@
+/**
+ * Error Reporter Module
+ * Captures module failures and routes them to a pluggable sink
+ *
+ * Features:
+ * - Reports tagged with module name, phase and stack
+ * - Console sink in development
+ * - Beacon sink in production (endpoint via VITE_ERROR_ENDPOINT)
+ * - Optional capture of uncaught errors and unhandled rejections
+ */
+
+/**
+ * Create an error reporter
+ * @param {Object} options
+ * @param {Function[]} options.sinks - Functions receiving each report (default: per environment)
+ * @returns {Object} Reporter with report/captureGlobalErrors
+ */
+export function createErrorReporter({ sinks = getDefaultSinks() } = {}) {
+  /**
+   * Report a failure
+   * @param {Error|*} error - What was thrown
+   * @param {Object} detail
+   * @param {string} detail.module - Module name (e.g. "accordion")
+   * @param {string} detail.phase - "init" | "destroy" | "runtime"
+   */
+  function report(error, { module = "unknown", phase = "runtime" } = {}) {
+    const entry = {
+      module,
+      phase,
+      message: error?.message || String(error),
+      stack: error?.stack || null,
+      url: window.location.href,
+      userAgent: navigator.userAgent,
+      timestamp: new Date().toISOString(),
+    };
+
+    sinks.forEach((sink) => {
+      // A broken sink must never take the page down with it
+      try {
+        sink(entry, error);
+      } catch {
+        // Nothing left to report to
+      }
+    });
+
+    return entry;
+  }
+
+  /**
+   * Report uncaught errors and unhandled promise rejections
+   * @returns {Function} Cleanup function
+   */
+  function captureGlobalErrors() {
+    const handleError = (e) => report(e.error || e.message);
+    const handleRejection = (e) => report(e.reason);
+
+    window.addEventListener("error", handleError);
+    window.addEventListener("unhandledrejection", handleRejection);
+
+    return () => {
+      window.removeEventListener("error", handleError);
+      window.removeEventListener("unhandledrejection", handleRejection);
+    };
+  }
+
+  return { report, captureGlobalErrors };
+}
+
+/**
+ * Console sink - logs module name and stack
+ */
+export function consoleSink(entry, error) {
+  console.error(
+    `[Pour Haus] "${entry.module}" failed during ${entry.phase}:`,
+    error,
+  );
+}
+
+/**
+ * Beacon sink - POSTs each report as JSON to an endpoint
+ * Uses sendBeacon so reports survive page unload.
+ * @param {string} endpoint - Collector URL
+ */
+export function createBeaconSink(endpoint) {
+  return (entry) => {
+    const body = JSON.stringify(entry);
+
+    if (navigator.sendBeacon?.(endpoint, body)) return;
+
+    fetch(endpoint, {
+      method: "POST",
+      body,
+      keepalive: true,
+      headers: { "Content-Type": "application/json" },
+    }).catch(() => {});
+  };
+}
+
+/**
+ * Console in dev, beacon in production when an endpoint is configured
+ */
+function getDefaultSinks() {
+  const endpoint = import.meta.env.VITE_ERROR_ENDPOINT;
+
+  if (import.meta.env.DEV || !endpoint) return [consoleSink];
+  return [createBeaconSink(endpoint)];
+}
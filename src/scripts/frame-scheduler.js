@@ -0,0 +1,70 @@
+/**
+ * Frame Scheduler Module
+ * One shared per-frame loop on gsap.ticker for every module
+ *
+ * Features:
+ * - Deterministic order each tick: scroll → layout reads → writes
+ *   (reads never interleave with writes, so no forced reflows)
+ * - Optional visibility predicate per subscriber (e.g. "hero on screen")
+ * - Everything is suspended while the document is hidden
+ * - The ticker callback is only attached while someone is subscribed
+ */
+
+import gsap from "gsap";
+
+/**
+ * Run order within a tick (lower runs first)
+ */
+export const FRAME_PRIORITY = {
+  scroll: 0, // Smooth scroll position (Lenis)
+  read: 1, // Layout reads, measurements
+  write: 2, // Style and canvas writes
+};
+
+// Kept sorted by priority; equal priorities run in subscription order
+let subscribers = [];
+
+/**
+ * Run a callback every frame
+ * @param {Function} callback - callback(time, deltaTime, frame), as gsap.ticker
+ * @param {Object} options
+ * @param {number} options.priority - FRAME_PRIORITY value (default: write)
+ * @param {Function} options.isVisible - Skip frames while this returns false
+ * @returns {Function} Unsubscribe function
+ */
+export function onFrame(
+  callback,
+  { priority = FRAME_PRIORITY.write, isVisible = null } = {},
+) {
+  const subscriber = { callback, priority, isVisible, active: true };
+
+  const index = subscribers.findIndex((other) => other.priority > priority);
+  subscribers =
+    index === -1
+      ? [...subscribers, subscriber]
+      : [
+          ...subscribers.slice(0, index),
+          subscriber,
+          ...subscribers.slice(index),
+        ];
+  if (subscribers.length === 1) gsap.ticker.add(tick);
+
+  return () => {
+    if (!subscriber.active) return;
+    subscriber.active = false;
+    subscribers = subscribers.filter((other) => other !== subscriber);
+    if (subscribers.length === 0) gsap.ticker.remove(tick);
+  };
+}
+
+// Iterates a snapshot, so subscribing mid-tick starts next frame and
+// unsubscribing mid-tick takes effect immediately
+function tick(time, deltaTime, frame) {
+  if (document.hidden) return;
+
+  subscribers.forEach((subscriber) => {
+    if (!subscriber.active) return;
+    if (subscriber.isVisible && !subscriber.isVisible()) return;
+    subscriber.callback(time, deltaTime, frame);
+  });
+}
@@ -8,16 +8,31 @@
  * - Mouse-following ripple effect
  * - GPU-accelerated via WebGL
  * - Graceful fallback if WebGL unavailable
- * - Respects reduced motion preference
+ * - Respects reduced motion preference (restarted when it changes)
+ * - Can be switched off in the preferences panel
+ * - Resolution and on/off follow the quality tier (restarted when it changes)
  */
 
+import { prefersReducedMotion } from "./motion-preference.js";
+import { getPreference } from "./preferences.js";
+import { getQuality } from "./quality.js";
+import { onFrame } from "./frame-scheduler.js";
+import { onResize } from "./viewport.js";
+
 /**
  * Initialize WebGL shader effect on hero section
  * @param {Lenis} lenis - Lenis instance for scroll position
+ * @returns {Function|null} Cleanup function, or null when skipped
  */
 export function initHeroShader(lenis) {
-  // Skip if reduced motion preferred
-  if (window.matchMedia("(prefers-reduced-motion: reduce)").matches) {
+  const quality = getQuality();
+
+  // Skip if reduced motion preferred, WebGL switched off or too slow
+  if (
+    prefersReducedMotion() ||
+    getPreference("disableWebGL") ||
+    !quality.shader
+  ) {
     return null;
   }
 
@@ -33,6 +48,8 @@ export function initHeroShader(lenis) {
     console.log("WebGL not supported, skipping hero shader");
     return null;
   }
+  // Release the probe context - browsers cap live WebGL contexts
+  gl.getExtension("WEBGL_lose_context")?.loseContext();
 
   // Create canvas element
   const canvas = document.createElement("canvas");
@@ -264,14 +281,12 @@ export function initHeroShader(lenis) {
   let mouseX = 0;
   let mouseY = 0;
   let scrollY = 0;
-  let rafId = null;
-  let isVisible = true;
   let isInViewport = true; // Track if hero is in viewport
   let startTime = Date.now();
 
   // Resize handler
   function resize() {
-    const dpr = Math.min(window.devicePixelRatio, 2);
+    const dpr = Math.min(window.devicePixelRatio, quality.shaderDpr);
     const rect = hero.getBoundingClientRect();
     canvas.width = rect.width * dpr;
     canvas.height = rect.height * dpr;
@@ -282,27 +297,20 @@ export function initHeroShader(lenis) {
   // Mouse tracking
   function handleMouseMove(e) {
     const rect = hero.getBoundingClientRect();
-    mouseX = (e.clientX - rect.left) * Math.min(window.devicePixelRatio, 2);
-    mouseY =
-      (rect.height - (e.clientY - rect.top)) *
-      Math.min(window.devicePixelRatio, 2);
+    const dpr = Math.min(window.devicePixelRatio, quality.shaderDpr);
+    mouseX = (e.clientX - rect.left) * dpr;
+    mouseY = (rect.height - (e.clientY - rect.top)) * dpr;
   }
 
   // Scroll tracking
-  if (lenis) {
-    lenis.on("scroll", ({ scroll }) => {
-      scrollY = scroll;
-    });
-  }
+  const removeScrollListener = lenis
+    ? lenis.on("scroll", ({ scroll }) => {
+        scrollY = scroll;
+      })
+    : null;
 
   // Render loop
   function render() {
-    // Skip rendering if document hidden OR hero off-screen
-    if (!isVisible || !isInViewport) {
-      rafId = requestAnimationFrame(render);
-      return;
-    }
-
     const time = Date.now() - startTime;
 
     glContext.uniform1f(uniforms.time, time);
@@ -312,15 +320,8 @@ export function initHeroShader(lenis) {
     glContext.clearColor(0, 0, 0, 0);
     glContext.clear(glContext.COLOR_BUFFER_BIT);
     glContext.drawArrays(glContext.TRIANGLES, 0, 6);
-
-    rafId = requestAnimationFrame(render);
   }
 
-  // Visibility handling - pause when tab is hidden
-  document.addEventListener("visibilitychange", () => {
-    isVisible = !document.hidden;
-  });
-
   // IntersectionObserver - pause WebGL when hero is off-screen (huge perf win)
   const heroObserver = new IntersectionObserver(
     (entries) => {
@@ -334,16 +335,30 @@ export function initHeroShader(lenis) {
 
   // Initialize
   resize();
-  window.addEventListener("resize", resize);
+  const offResize = onResize(resize);
   hero.addEventListener("mousemove", handleMouseMove);
-  render();
+
+  // Shared frame scheduler - no frames at all while the tab is hidden or
+  // the hero is off-screen
+  const stopFrame = onFrame(render, { isVisible: () => isInViewport });
 
   // Return cleanup function
   return function cleanup() {
-    if (rafId) cancelAnimationFrame(rafId);
+    stopFrame();
     heroObserver.disconnect(); // Stop observing hero
-    window.removeEventListener("resize", resize);
+    offResize();
     hero.removeEventListener("mousemove", handleMouseMove);
+    if (removeScrollListener) removeScrollListener();
+
+    // Release GPU resources rather than waiting for GC
+    glContext.deleteBuffer(positionBuffer);
+    glContext.deleteBuffer(texCoordBuffer);
+    glContext.deleteProgram(program);
+    glContext.deleteShader(vertexShader);
+    glContext.deleteShader(fragmentShader);
+    glContext.getExtension("WEBGL_lose_context")?.loseContext();
+
     canvas.remove();
+    hero.style.position = "";
   };
 }
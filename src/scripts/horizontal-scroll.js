@@ -1,35 +1,69 @@
 /**
  * Horizontal Scroll Module
  * Works gallery with smart desktop/mobile handling
+ * Swaps modes live when the breakpoint or pointer changes (rotation, docking)
  */
 
 import gsap from "gsap";
 import { ScrollTrigger } from "gsap/ScrollTrigger";
+import { getViewport, onViewportChange, onResize } from "./viewport.js";
 
 gsap.registerPlugin(ScrollTrigger);
 
 /**
  * Initialize horizontal scroll gallery
  * Desktop: scroll-hijack with GSAP
- * Mobile: native horizontal scroll with snap
+ * Mobile/touch: native horizontal scroll with snap
  * @param {Lenis} lenis - Lenis instance
+ * @returns {Function} Cleanup function
  */
 export function initHorizontalScroll(lenis) {
   const section = document.querySelector(".h-scroll-section");
   const container = document.querySelector(".h-scroll-container");
   const track = document.querySelector(".h-scroll-track");
 
-  if (!section || !container || !track) return;
+  if (!section || !container || !track) return () => {};
 
-  // Check if mobile/touch device
-  const isMobile = window.matchMedia("(max-width: 768px)").matches;
-  const isTouch = "ontouchstart" in window || navigator.maxTouchPoints > 0;
+  let mode = null;
+  // Collects tweens and ScrollTriggers; mode cleanup handles the rest
+  let ctx = null;
+  let modeCleanup = null;
 
-  if (isMobile || isTouch) {
-    initMobileScroll(section, container, track);
-  } else {
-    initDesktopScroll(section, container, track, lenis);
-  }
+  const stopMode = () => {
+    ctx?.revert();
+    modeCleanup?.();
+    ctx = null;
+    modeCleanup = null;
+  };
+
+  // Returns whether the mode changed
+  const startMode = () => {
+    const { mobile, canHover } = getViewport();
+    const next = mobile || !canHover ? "native" : "pinned";
+    if (next === mode) return false;
+
+    stopMode();
+    mode = next;
+    ctx = gsap.context(() => {
+      modeCleanup =
+        mode === "native"
+          ? initMobileScroll(section, container, track)
+          : initDesktopScroll(section, container, track, lenis);
+    });
+    return true;
+  };
+
+  startMode();
+
+  // The pin adds or removes a whole gallery's worth of scroll
+  const offViewport = onViewportChange(() => {
+    if (startMode()) ScrollTrigger.refresh();
+  });
+
+  return function cleanup() {
+    offViewport();
+    stopMode();
+  };
 }
 
 /**
@@ -80,7 +114,7 @@ function initMobileScroll(section, container, track) {
   section.appendChild(progressDots);
 
   // Update dots on scroll
-  container.addEventListener("scroll", () => {
+  const updateDots = () => {
     const scrollLeft = container.scrollLeft;
     const cardWidth = cards[0].offsetWidth + 32; // card + gap
     const activeIndex = Math.round(scrollLeft / cardWidth);
@@ -88,7 +122,8 @@ function initMobileScroll(section, container, track) {
     progressDots.querySelectorAll("div").forEach((dot, i) => {
       dot.style.background = i === activeIndex ? "#964B00" : "#3A3A3A";
     });
-  });
+  };
+  container.addEventListener("scroll", updateDots);
 
   // Add reveal animation for cards
   cards.forEach((card, i) => {
@@ -111,6 +146,25 @@ function initMobileScroll(section, container, track) {
       },
     );
   });
+
+  return () => {
+    container.removeEventListener("scroll", updateDots);
+    progressDots.remove();
+    [
+      "overflowX",
+      "overflowY",
+      "scrollSnapType",
+      "WebkitOverflowScrolling",
+      "scrollbarWidth",
+      "msOverflowStyle",
+    ].forEach((prop) => {
+      container.style[prop] = "";
+    });
+    cards.forEach((card) => {
+      card.style.scrollSnapAlign = "";
+      card.style.scrollSnapStop = "";
+    });
+  };
 }
 
 /**
@@ -127,6 +181,7 @@ function initDesktopScroll(section, container, track, lenis) {
     x: getScrollAmount,
     ease: "none",
     scrollTrigger: {
+      id: "h-scroll", // Keyboard scrolling steps through the cards with it
       trigger: section,
       start: "top top",
       end: () => `+=${track.scrollWidth - window.innerWidth}`,
@@ -162,14 +217,8 @@ function initDesktopScroll(section, container, track, lenis) {
     );
   });
 
-  // Handle resize with debounce
-  let resizeTimeout;
-  window.addEventListener("resize", () => {
-    clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(() => {
-      ScrollTrigger.refresh();
-    }, 250);
-  });
+  // Track width depends on the viewport - remeasure once resizing settles
+  const offResize = onResize(() => ScrollTrigger.refresh());
 
   // Add progress counter
   const totalCards = cards.length;
@@ -215,4 +264,9 @@ function initDesktopScroll(section, container, track, lenis) {
       );
     },
   });
+
+  return () => {
+    offResize();
+    counter.remove();
+  };
 }
@@ -0,0 +1,150 @@
+/**
+ * Keyboard Scroll Module
+ * Routes scrolling keys through Lenis instead of native jumps
+ *
+ * Features:
+ * - Arrow keys, PageUp/PageDown, Space (Shift+Space), Home and End
+ * - Steps build on the destination of a key scroll still in flight, so
+ *   repeated presses add up and held keys keep gliding
+ * - Leaves keys alone in form fields, the accordion and the gallery
+ * - Pinned works gallery is stepped through one card per keypress
+ * - Paused while scroll is locked (Lenis stopped)
+ */
+
+import { ScrollTrigger } from "gsap/ScrollTrigger";
+
+// Shared keyboard scroll settings
+const KEY_SCROLL = {
+  duration: 0.8,
+  easing: (t) => Math.min(1, 1.001 - Math.pow(2, -10 * t)),
+};
+
+const ARROW_STEP = 120; // px
+const PAGE_RATIO = 0.85; // Share of the viewport kept in view on page keys
+
+// Focus contexts that handle keys themselves
+const IGNORE_SELECTOR = [
+  "input",
+  "textarea",
+  "select",
+  "[contenteditable]:not([contenteditable='false'])",
+  ".accordion",
+  ".h-scroll-container",
+].join(", ");
+
+// Space activates these, so it must not scroll
+const SPACE_SELECTOR = "button, a[href], summary, [role='button']";
+
+// Set on the works gallery ScrollTrigger in horizontal-scroll.js
+const GALLERY_TRIGGER_ID = "h-scroll";
+
+/**
+ * Initialize keyboard scrolling
+ * @param {Lenis} lenis - Lenis instance
+ * @returns {Function} Cleanup function
+ */
+export function initKeyboardScroll(lenis) {
+  // Destination of the key scroll in flight. Lenis moves targetScroll along
+  // with a programmatic scroll, so it can't tell us where one is headed.
+  let pending = null;
+
+  const handleKeydown = (e) => {
+    if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+    if (lenis.isStopped) return;
+    if (isIgnoredTarget(e.target, e.key)) return;
+
+    // A wheel or another scrollTo swaps userData; native scroll stops it
+    const inFlight =
+      pending && lenis.isScrolling === "smooth" && lenis.userData === pending;
+    const from = inFlight ? pending.to : lenis.targetScroll;
+    const target = resolveTarget(lenis, e.key, e.shiftKey, from);
+    if (target === null) return;
+
+    e.preventDefault();
+    const scroll = { to: target };
+    pending = scroll;
+    lenis.scrollTo(target, {
+      ...KEY_SCROLL,
+      userData: scroll,
+      onComplete: () => {
+        if (pending === scroll) pending = null;
+      },
+    });
+  };
+
+  document.addEventListener("keydown", handleKeydown);
+
+  return () => {
+    document.removeEventListener("keydown", handleKeydown);
+  };
+}
+
+function isIgnoredTarget(target, key) {
+  if (!(target instanceof Element)) return false;
+  if (target.closest(IGNORE_SELECTOR)) return true;
+  return key === " " && Boolean(target.closest(SPACE_SELECTOR));
+}
+
+/**
+ * Where a key should take the page
+ * @param {number} from - Position to step from (a pending key scroll's destination)
+ * @returns {number|null} Scroll position, or null for keys we don't handle
+ */
+function resolveTarget(lenis, key, shiftKey, from) {
+  if (key === "Home") return 0;
+  if (key === "End") return lenis.limit;
+
+  const delta = getStep(key, shiftKey);
+  if (!delta) return null;
+
+  const to = Math.min(Math.max(from + delta, 0), lenis.limit);
+
+  return stepGallery(from, to) ?? to;
+}
+
+function getStep(key, shiftKey) {
+  const page = window.innerHeight * PAGE_RATIO;
+
+  switch (key) {
+    case "ArrowDown":
+      return ARROW_STEP;
+    case "ArrowUp":
+      return -ARROW_STEP;
+    case "PageDown":
+      return page;
+    case "PageUp":
+      return -page;
+    case " ":
+      return shiftKey ? -page : page;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Card-by-card stepping through the pinned works gallery
+ * Cards are spread evenly over the pin, matching the gallery counter.
+ * @returns {number|null} Snapped position, or null outside the gallery
+ */
+function stepGallery(from, to) {
+  const trigger = ScrollTrigger.getById(GALLERY_TRIGGER_ID);
+  if (!trigger) return null;
+
+  const { start, end } = trigger;
+  const steps = trigger.trigger.querySelectorAll(".h-scroll-card").length - 1;
+  if (steps < 1 || end <= start) return null;
+
+  // Entering the pin - stop on the first or last card instead of skipping past
+  if (from < start - 1 && to > start) return start;
+  if (from > end + 1 && to < end) return end;
+  if (from < start - 1 || from > end + 1) return null;
+
+  const span = (end - start) / steps;
+  const index = Math.round((from - start) / span);
+  const next = index + Math.sign(to - from);
+
+  // Past the first or last card - leave the pin with a normal step
+  if (next < 0 || next > steps) return null;
+
+  return start + next * span;
+}
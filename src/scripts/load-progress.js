@@ -0,0 +1,191 @@
+/**
+ * Load Progress Module
+ * Tracks real resource loading for the PSI loader
+ *
+ * Features:
+ * - Any promise can be tracked as a weighted loading task
+ * - Tasks weighted by byte size via the Resource Timing API
+ * - Estimated weights for resources the browser won't report (opaque CORS)
+ * - Progress never moves backwards as real sizes arrive
+ * - Per-task timeout so a stalled request can't freeze the loader
+ */
+
+// Estimated byte sizes, used until the browser reports the real ones
+const ESTIMATED_WEIGHTS = {
+  font: 60000,
+  image: 250000,
+  module: 150000,
+};
+
+/**
+ * Create a load progress tracker
+ * @param {Object} options
+ * @param {number} options.timeout - Max ms to wait on a single task (default: 10000)
+ * @returns {Object} Tracker with track/getProgress/onProgress/whenComplete
+ */
+export function createLoadProgress({ timeout = 10000 } = {}) {
+  const tasks = [];
+  const listeners = new Set();
+  const startTime = performance.now();
+
+  /**
+   * Sum the reported byte size of all resource entries matching a predicate
+   */
+  function measure(match) {
+    if (!match || !window.performance?.getEntriesByType) return 0;
+
+    return performance
+      .getEntriesByType("resource")
+      .filter((entry) => match(entry, startTime))
+      .reduce(
+        (bytes, entry) =>
+          bytes +
+          (entry.encodedBodySize ||
+            entry.transferSize ||
+            entry.decodedBodySize ||
+            0),
+        0,
+      );
+  }
+
+  function emit() {
+    const state = getProgress();
+    listeners.forEach((listener) => listener(state));
+  }
+
+  /**
+   * Track a promise as a loading task
+   * @param {Promise} promise - Settles when the resource is ready
+   * @param {Object} options
+   * @param {string} options.type - "font" | "image" | "module"
+   * @param {Function} options.match - Resource Timing entry predicate for byte size
+   * @returns {Promise} The original promise
+   */
+  function track(promise, { type, match } = {}) {
+    const task = {
+      type,
+      weight: ESTIMATED_WEIGHTS[type] || ESTIMATED_WEIGHTS.module,
+      done: false,
+    };
+
+    // Already-finished resources can use their real size straight away
+    const knownSize = measure(match);
+    if (knownSize) task.weight = knownSize;
+
+    tasks.push(task);
+
+    let timeoutId = null;
+    const settle = () => {
+      if (task.done) return;
+      task.done = true;
+      clearTimeout(timeoutId);
+
+      // Swap the estimate for the real size if the browser reports it.
+      // Re-weighting a completed task can only move progress forward.
+      const bytes = measure(match);
+      if (bytes) task.weight = bytes;
+
+      emit();
+    };
+
+    Promise.resolve(promise).then(settle, settle);
+    timeoutId = setTimeout(settle, timeout);
+
+    emit();
+    return promise;
+  }
+
+  /**
+   * Current progress as a 0-1 ratio of loaded bytes to total bytes
+   */
+  function getProgress() {
+    const total = tasks.reduce((sum, task) => sum + task.weight, 0);
+    const loaded = tasks.reduce(
+      (sum, task) => sum + (task.done ? task.weight : 0),
+      0,
+    );
+    const pending = tasks.filter((task) => !task.done).length;
+
+    return {
+      progress: total === 0 ? 1 : loaded / total,
+      loaded,
+      total,
+      pending,
+    };
+  }
+
+  /**
+   * Subscribe to progress changes
+   * @returns {Function} Unsubscribe
+   */
+  function onProgress(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  /**
+   * Resolve once every tracked task has settled
+   */
+  function whenComplete() {
+    return new Promise((resolve) => {
+      if (getProgress().pending === 0) {
+        resolve();
+        return;
+      }
+      const unsubscribe = onProgress(({ pending }) => {
+        if (pending === 0) {
+          unsubscribe();
+          resolve();
+        }
+      });
+    });
+  }
+
+  return { track, getProgress, onProgress, whenComplete };
+}
+
+/**
+ * Track web fonts via document.fonts
+ */
+export function trackFonts(tracker) {
+  return tracker.track(document.fonts.ready, {
+    type: "font",
+    match: (entry) => /\.(woff2?|ttf|otf)(\?|$)/.test(entry.name),
+  });
+}
+
+/**
+ * Track critical above-the-fold images
+ */
+export function trackCriticalImages(tracker) {
+  const criticalImages = document.querySelectorAll(
+    'img[src*="logo"], #hero img',
+  );
+
+  criticalImages.forEach((img) => {
+    const loaded = img.complete
+      ? Promise.resolve()
+      : new Promise((resolve) => {
+          img.addEventListener("load", resolve, { once: true });
+          img.addEventListener("error", resolve, { once: true });
+        });
+
+    tracker.track(loaded, {
+      type: "image",
+      match: (entry) => entry.name === (img.currentSrc || img.src),
+    });
+  });
+}
+
+/**
+ * Track lazy-loaded script modules
+ * Counts every script chunk requested after tracking began (including
+ * shared vendor chunks like GSAP), since chunk names are hashed in builds.
+ */
+export function trackModules(tracker, modulesPromise) {
+  return tracker.track(modulesPromise, {
+    type: "module",
+    match: (entry, startTime) =>
+      entry.startTime >= startTime && /\.js(\?|$)/.test(entry.name),
+  });
+}
@@ -0,0 +1,243 @@
+/**
+ * Loader Module
+ * Premium PSI gauge loading sequence
+ *
+ * Features:
+ * - Gauge, stage label and progress bar driven by real load progress
+ * - Smoothed display so fast connections glide through quickly
+ * - Honest progress on slow connections (no frozen 4000 PSI)
+ * - ARIA progressbar kept in sync with the displayed value
+ * - Session-aware modes: full intro first, condensed or none on repeat visits
+ * - Skip control plus Escape/Enter to jump straight to the site
+ *
+ * Modes can be forced with ?intro=full|condensed|none and configured
+ * via data attributes on #loader:
+ * - data-loader-session        Mode for repeat views in the same session (default: "none")
+ * - data-loader-returning      Mode for returning visitors (default: "condensed")
+ * - data-loader-remember-days  Days a visit counts as "returning" (default: 7)
+ */
+
+// Loading stages with their PSI thresholds
+const STAGES = [
+  { psi: 0, label: "MIXING" },
+  { psi: 1000, label: "POURING" },
+  { psi: 2500, label: "CURING" },
+  { psi: 4000, label: "READY" },
+];
+
+const TARGET_PSI = 4000;
+
+const LOADER_MODES = ["full", "condensed", "none"];
+const SEEN_KEY = "pourhaus:intro-seen";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Per-mode pacing for the gauge
+const MODE_CONFIG = {
+  full: {
+    catchUp: 0.12, // Fraction of the remaining gap closed per frame
+    minStep: 0.004, // Keeps the gauge moving when the gap is tiny
+    holdDuration: 400, // Pause at 4000 PSI before reveal (ms)
+    showTagline: true,
+  },
+  condensed: {
+    catchUp: 0.35,
+    minStep: 0.02,
+    holdDuration: 100,
+    showTagline: false,
+  },
+};
+
+/**
+ * Initialize the PSI loader
+ * @param {Object} options
+ * @param {Object} options.tracker - Load progress tracker (see load-progress.js)
+ * @param {Function} options.onComplete - Called once the loader starts hiding
+ * @param {string} options.mode - Force "full" | "condensed" | "none" (default: resolved per visit)
+ */
+export function initLoader({ tracker, onComplete, mode }) {
+  const loader = document.getElementById("loader");
+  const meter = document.getElementById("loader-meter") || loader;
+  const skipButton = document.getElementById("loader-skip");
+  const psiDisplay = document.getElementById("loader-psi");
+  const stageDisplay = document.getElementById("loader-stage");
+  const progressBar = document.getElementById("loader-progress-bar");
+  const tagline = document.getElementById("loader-tagline");
+
+  if (!loader) {
+    tracker.whenComplete().then(onComplete);
+    return;
+  }
+
+  const activeMode = mode || resolveLoaderMode(loader);
+  rememberVisit();
+
+  // No intro - hide instantly and let modules start once loaded
+  if (activeMode === "none") {
+    loader.classList.add("instant");
+    hideLoader();
+    onComplete();
+    return;
+  }
+
+  loader.classList.toggle("condensed", activeMode === "condensed");
+
+  // Displayed progress chases the real progress
+  const config = MODE_CONFIG[activeMode];
+
+  let displayed = 0;
+  let isComplete = false;
+
+  function render() {
+    const currentPSI = Math.floor(displayed * TARGET_PSI);
+
+    if (psiDisplay) {
+      psiDisplay.textContent = currentPSI;
+    }
+
+    // Update ARIA for accessibility
+    meter.setAttribute("aria-valuenow", Math.floor(displayed * 100));
+
+    if (progressBar) {
+      progressBar.style.width = `${displayed * 100}%`;
+    }
+
+    // Update stage based on PSI
+    if (stageDisplay) {
+      for (let i = STAGES.length - 1; i >= 0; i--) {
+        if (currentPSI >= STAGES[i].psi) {
+          stageDisplay.textContent = STAGES[i].label;
+          break;
+        }
+      }
+    }
+
+    // Show tagline near end
+    if (displayed > 0.7 && tagline && config.showTagline) {
+      tagline.classList.add("visible");
+    }
+
+    // Fill the number when reaching max
+    if (displayed > 0.9 && psiDisplay) {
+      psiDisplay.classList.add("filled");
+    }
+  }
+
+  // Animation loop - eases the gauge toward the real progress
+  function animatePSI() {
+    if (isComplete) return;
+
+    const { progress, pending } = tracker.getProgress();
+    const gap = progress - displayed;
+
+    if (gap > 0) {
+      displayed += Math.min(
+        gap,
+        Math.max(gap * config.catchUp, config.minStep),
+      );
+    }
+
+    render();
+
+    if (pending === 0 && displayed >= 1) {
+      completeLoading();
+    } else {
+      requestAnimationFrame(animatePSI);
+    }
+  }
+
+  // Skip control and keyboard shortcuts
+  function handleKeydown(e) {
+    if (e.key === "Escape" || e.key === "Enter") {
+      e.preventDefault();
+      completeLoading({ skipped: true });
+    }
+  }
+
+  if (skipButton) {
+    skipButton.hidden = false;
+    skipButton.addEventListener("click", () =>
+      completeLoading({ skipped: true }),
+    );
+  }
+  document.addEventListener("keydown", handleKeydown);
+
+  requestAnimationFrame(animatePSI);
+
+  // Complete loading and reveal site
+  function completeLoading({ skipped = false } = {}) {
+    if (isComplete) return;
+    isComplete = true;
+    document.removeEventListener("keydown", handleKeydown);
+
+    // Skipping reveals immediately, otherwise pause at 4000 PSI
+    setTimeout(
+      () => {
+        hideLoader();
+        onComplete();
+      },
+      skipped ? 0 : config.holdDuration,
+    );
+  }
+
+  // Hide the loader and drop it from the accessibility tree.
+  // aria-valuenow keeps the last real value rather than faking 100.
+  function hideLoader() {
+    loader.classList.add("hidden");
+    loader.setAttribute("aria-hidden", "true");
+    meter.setAttribute("aria-busy", "false");
+    if (skipButton) skipButton.hidden = true;
+  }
+}
+
+/**
+ * Decide which intro to play for this page view
+ * Priority: URL parameter > same session > returning visitor > full
+ */
+function resolveLoaderMode(loader) {
+  const forced = new URLSearchParams(window.location.search).get("intro");
+  if (LOADER_MODES.includes(forced)) return forced;
+
+  const sessionMode = loader.dataset.loaderSession || "none";
+  const returningMode = loader.dataset.loaderReturning || "condensed";
+  const rememberDays = parseFloat(loader.dataset.loaderRememberDays ?? 7);
+
+  if (readStorage(() => window.sessionStorage, SEEN_KEY)) {
+    return LOADER_MODES.includes(sessionMode) ? sessionMode : "none";
+  }
+
+  const lastSeen = parseInt(
+    readStorage(() => window.localStorage, SEEN_KEY),
+    10,
+  );
+  if (lastSeen && Date.now() - lastSeen < rememberDays * DAY_MS) {
+    return LOADER_MODES.includes(returningMode) ? returningMode : "condensed";
+  }
+
+  return "full";
+}
+
+/**
+ * Record this visit for future mode resolution
+ */
+function rememberVisit() {
+  writeStorage(() => window.sessionStorage, SEEN_KEY, "1");
+  writeStorage(() => window.localStorage, SEEN_KEY, String(Date.now()));
+}
+
+// Storage can throw in private browsing or when disabled - even reading
+// the global throws (SecurityError), so it is only touched inside the try
+function readStorage(getStorage, key) {
+  try {
+    return getStorage().getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+function writeStorage(getStorage, key, value) {
+  try {
+    getStorage().setItem(key, value);
+  } catch {
+    // Ignore - the intro simply plays again next time
+  }
+}
@@ -8,10 +8,19 @@
  * - Subtle 3D tilt rotation
  * - Shine highlight effect on movement
  * - GPU-accelerated transforms
+ * - Frames from the shared scheduler, only while an element is moving
  * - Configurable via data attributes
+ * - Off while motion is reduced or without a hover pointer
+ *   (restarted when either changes)
  */
 
 import gsap from "gsap";
+import { prefersReducedMotion } from "./motion-preference.js";
+import { onFrame } from "./frame-scheduler.js";
+import { getViewport } from "./viewport.js";
+
+// Teardown for every bound element, keyed by element
+const boundElements = new Map();
 
 /**
  * Initialize magnetic effect on elements with [data-magnetic]
@@ -22,113 +31,147 @@ import gsap from "gsap";
  * - data-magnetic-ease     GSAP ease for animation (default: "power2.out")
  * - data-magnetic-tilt     Enable 3D tilt (default: true)
  * - data-magnetic-shine    Enable shine effect (default: true)
+ *
+ * @returns {Function} Cleanup function
  */
 export function initMagnetic() {
-  // Skip on touch devices
-  if ("ontouchstart" in window || navigator.maxTouchPoints > 0) {
-    return;
+  // Skip without a hover pointer and for reduced motion
+  if (!getViewport().canHover || prefersReducedMotion()) {
+    return () => {};
   }
 
+  destroyMagnetic();
+
   const magneticElements = document.querySelectorAll("[data-magnetic]");
+  magneticElements.forEach((el) => bindMagnetic(el));
 
-  magneticElements.forEach((el) => {
-    // Parse configuration from data attributes
-    const strength = parseFloat(el.dataset.magneticStrength) || 0.3;
-    const childStrength = strength * 0.6; // Children move less for offset
-    const ease = el.dataset.magneticEase || "power2.out";
-    const enableTilt = el.dataset.magneticTilt !== "false";
-    const enableShine = el.dataset.magneticShine !== "false";
-
-    // Get child elements (text, icons, etc.)
-    const children = el.querySelectorAll(
-      "span, .btn-text, .btn-icon, svg, i, .magnetic-child",
-    );
+  return destroyMagnetic;
+}
 
-    // Create shine overlay if enabled
-    let shine = null;
-    if (enableShine) {
-      shine = createShineElement(el);
-    }
+/**
+ * Remove the magnetic effect from all bound elements
+ */
+function destroyMagnetic() {
+  boundElements.forEach((cleanup) => cleanup());
+  boundElements.clear();
+}
 
-    // Track state
-    let isHovering = false;
-    let rafId = null;
-    let targetX = 0;
-    let targetY = 0;
-    let currentX = 0;
-    let currentY = 0;
+/**
+ * Bind the magnetic effect to a single element
+ */
+function bindMagnetic(el) {
+  if (boundElements.has(el)) return;
+
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  // Parse configuration from data attributes
+  const strength = parseFloat(el.dataset.magneticStrength) || 0.3;
+  const childStrength = strength * 0.6; // Children move less for offset
+  const ease = el.dataset.magneticEase || "power2.out";
+  const enableTilt = el.dataset.magneticTilt !== "false";
+  const enableShine = el.dataset.magneticShine !== "false";
+
+  // Get child elements (text, icons, etc.)
+  const children = el.querySelectorAll(
+    "span, .btn-text, .btn-icon, svg, i, .magnetic-child",
+  );
+
+  // Create shine overlay if enabled
+  let shine = null;
+  if (enableShine) {
+    shine = createShineElement(el);
+  }
 
-    // Smooth animation loop for fluid motion
-    function updatePosition() {
-      if (!isHovering) {
-        // Return to center with spring
-        targetX = 0;
-        targetY = 0;
-      }
+  // Track state
+  let isHovering = false;
+  let stopFrame = null;
+  let targetX = 0;
+  let targetY = 0;
+  let currentX = 0;
+  let currentY = 0;
+  // Measured in the pointer handlers; the frame loop only writes
+  let bounds = null;
+
+  // Smooth animation loop for fluid motion
+  function updatePosition() {
+    if (!isHovering) {
+      // Return to center with spring
+      targetX = 0;
+      targetY = 0;
+    }
 
-      // Smooth lerp
-      currentX += (targetX - currentX) * 0.15;
-      currentY += (targetY - currentY) * 0.15;
+    // Smooth lerp
+    currentX += (targetX - currentX) * 0.15;
+    currentY += (targetY - currentY) * 0.15;
 
-      // Apply transform to element
-      const tiltX = enableTilt ? currentY * 0.1 : 0;
-      const tiltY = enableTilt ? -currentX * 0.1 : 0;
+    // Apply transform to element
+    const tiltX = enableTilt ? currentY * 0.1 : 0;
+    const tiltY = enableTilt ? -currentX * 0.1 : 0;
 
-      gsap.set(el, {
-        x: currentX,
-        y: currentY,
-        rotateX: tiltX,
-        rotateY: tiltY,
-        transformPerspective: 1000,
-      });
+    gsap.set(el, {
+      x: currentX,
+      y: currentY,
+      rotateX: tiltX,
+      rotateY: tiltY,
+      transformPerspective: 1000,
+    });
 
-      // Apply offset transform to children (creates "liquid" feel)
-      if (children.length > 0) {
-        const childOffsetX = currentX * childStrength;
-        const childOffsetY = currentY * childStrength;
+    // Apply offset transform to children (creates "liquid" feel)
+    if (children.length > 0) {
+      const childOffsetX = currentX * childStrength;
+      const childOffsetY = currentY * childStrength;
 
-        children.forEach((child) => {
-          gsap.set(child, {
-            x: childOffsetX,
-            y: childOffsetY,
-          });
+      children.forEach((child) => {
+        gsap.set(child, {
+          x: childOffsetX,
+          y: childOffsetY,
         });
-      }
+      });
+    }
 
-      // Update shine position
-      if (shine) {
-        updateShine(shine, currentX, currentY, el);
-      }
+    // Update shine position
+    if (shine && bounds) {
+      updateShine(shine, currentX, currentY, bounds);
+    }
 
-      // Continue loop if not back at center
-      if (
-        Math.abs(currentX) > 0.1 ||
-        Math.abs(currentY) > 0.1 ||
-        Math.abs(targetX) > 0.1 ||
-        Math.abs(targetY) > 0.1
-      ) {
-        rafId = requestAnimationFrame(updatePosition);
-      } else {
-        rafId = null;
-        // Clean up - reset all transforms
-        if (!isHovering) {
-          gsap.set(el, { clearProps: "x,y,rotateX,rotateY" });
-          children.forEach((child) => {
-            gsap.set(child, { clearProps: "x,y" });
-          });
-        }
+    // Stop once back at center
+    if (
+      Math.abs(currentX) <= 0.1 &&
+      Math.abs(currentY) <= 0.1 &&
+      Math.abs(targetX) <= 0.1 &&
+      Math.abs(targetY) <= 0.1
+    ) {
+      stopLoop();
+      // Clean up - zero our offsets (clearProps would wipe the whole
+      // transform, including reveal/velocity parts owned by other effects)
+      if (!isHovering) {
+        gsap.set(el, { x: 0, y: 0, rotateX: 0, rotateY: 0 });
+        if (children.length > 0) gsap.set(children, { x: 0, y: 0 });
       }
     }
+  }
 
-    // Mouse enter - start effect
-    el.addEventListener("mouseenter", () => {
+  // Subscribed only while moving, so idle elements cost nothing per frame
+  function startLoop() {
+    if (!stopFrame) stopFrame = onFrame(updatePosition);
+  }
+
+  function stopLoop() {
+    stopFrame?.();
+    stopFrame = null;
+  }
+
+  // Mouse enter - start effect
+  el.addEventListener(
+    "mouseenter",
+    () => {
       isHovering = true;
+      bounds = el.getBoundingClientRect();
       el.style.willChange = "transform";
 
       // Start animation loop if not running
-      if (!rafId) {
-        rafId = requestAnimationFrame(updatePosition);
-      }
+      startLoop();
 
       // Show shine
       if (shine) {
@@ -145,13 +188,18 @@ export function initMagnetic() {
         duration: 0.4,
         ease: ease,
       });
-    });
-
-    // Mouse move - update target position
-    el.addEventListener("mousemove", (e) => {
+    },
+    { signal },
+  );
+
+  // Mouse move - update target position
+  el.addEventListener(
+    "mousemove",
+    (e) => {
       if (!isHovering) return;
 
       const rect = el.getBoundingClientRect();
+      bounds = rect;
       const centerX = rect.left + rect.width / 2;
       const centerY = rect.top + rect.height / 2;
 
@@ -160,13 +208,15 @@ export function initMagnetic() {
       targetY = (e.clientY - centerY) * strength;
 
       // Start animation if not running
-      if (!rafId) {
-        rafId = requestAnimationFrame(updatePosition);
-      }
-    });
-
-    // Mouse leave - return to center
-    el.addEventListener("mouseleave", () => {
+      startLoop();
+    },
+    { signal },
+  );
+
+  // Mouse leave - return to center
+  el.addEventListener(
+    "mouseleave",
+    () => {
       isHovering = false;
 
       // Hide shine
@@ -189,28 +239,55 @@ export function initMagnetic() {
       });
 
       // Ensure animation loop runs to completion
-      if (!rafId) {
-        rafId = requestAnimationFrame(updatePosition);
-      }
-    });
-
-    // Mouse down - press effect
-    el.addEventListener("mousedown", () => {
+      startLoop();
+    },
+    { signal },
+  );
+
+  // Mouse down - press effect
+  el.addEventListener(
+    "mousedown",
+    () => {
       gsap.to(el, {
         scale: 0.95,
         duration: 0.1,
         ease: "power2.in",
       });
-    });
-
-    // Mouse up - release
-    el.addEventListener("mouseup", () => {
+    },
+    { signal },
+  );
+
+  // Mouse up - release
+  el.addEventListener(
+    "mouseup",
+    () => {
       gsap.to(el, {
         scale: 1.02,
         duration: 0.3,
         ease: "elastic.out(1, 0.5)",
       });
+    },
+    { signal },
+  );
+
+  boundElements.set(el, () => {
+    controller.abort();
+    stopLoop();
+    gsap.killTweensOf([el, ...children]);
+    gsap.set(el, {
+      x: 0,
+      y: 0,
+      rotateX: 0,
+      rotateY: 0,
+      scale: 1,
+      transformPerspective: 0,
     });
+    if (children.length > 0) gsap.set(children, { x: 0, y: 0 });
+    el.style.willChange = "";
+    if (shine) {
+      gsap.killTweensOf(shine);
+      shine.remove();
+    }
   });
 }
 
@@ -256,9 +333,7 @@ function createShineElement(parent) {
 /**
  * Update shine position based on mouse movement
  */
-function updateShine(shine, x, y, parent) {
-  const rect = parent.getBoundingClientRect();
-
+function updateShine(shine, x, y, rect) {
   // Convert offset to percentage
   const percentX = 50 + (x / rect.width) * 100;
   const percentY = 50 + (y / rect.height) * 100;
@@ -286,6 +361,8 @@ export function addMagnetic(element, options = {}) {
   element.setAttribute("data-magnetic-tilt", config.tilt);
   element.setAttribute("data-magnetic-shine", config.shine);
 
-  // Re-initialize to pick up new element
-  initMagnetic();
+  // Bind just the new element (no duplicate listeners on the rest)
+  if (getViewport().canHover) {
+    bindMagnetic(element);
+  }
 }
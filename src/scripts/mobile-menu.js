@@ -3,15 +3,18 @@
  * Accessible hamburger menu with focus trap
  */
 
+import { lockScroll } from "./scroll-lock.js";
+
 /**
  * Initialize mobile menu with full accessibility
+ * @returns {Function} Cleanup function
  */
 export function initMobileMenu() {
   const menuBtn = document.getElementById("mobile-menu-btn");
   const mobileMenu = document.getElementById("mobile-menu");
 
   // Only initialize if both elements exist
-  if (!menuBtn) return;
+  if (!menuBtn) return () => {};
 
   // Create mobile menu if it doesn't exist
   if (!mobileMenu) {
@@ -19,7 +22,13 @@ export function initMobileMenu() {
   }
 
   const menu = document.getElementById("mobile-menu");
-  if (!menu) return;
+  if (!menu) return () => {};
+
+  // Single abort signal removes every listener on teardown
+  const controller = new AbortController();
+  const { signal } = controller;
+  let focusTimeout = null;
+  let releaseScroll = null;
 
   const closeBtn = menu.querySelector(".mobile-menu-close");
   const navLinks = menu.querySelectorAll("a");
@@ -32,70 +41,100 @@ export function initMobileMenu() {
     menuBtn.setAttribute("aria-expanded", isOpen.toString());
 
     if (isOpen) {
-      // Prevent body scroll
-      document.body.style.overflow = "hidden";
+      // Prevent background scroll (pauses Lenis, inerts the page)
+      releaseScroll = lockScroll({ allow: menu });
       // Focus first link after animation
-      setTimeout(() => {
+      focusTimeout = setTimeout(() => {
         closeBtn?.focus();
       }, 100);
     } else {
-      document.body.style.overflow = "";
+      unlock();
       menuBtn.focus();
     }
   }
 
+  // Release the scroll lock if this menu holds it
+  function unlock() {
+    if (releaseScroll) {
+      releaseScroll();
+      releaseScroll = null;
+    }
+  }
+
   // Close menu
   function closeMenu() {
     if (isOpen) {
       isOpen = false;
       menu.classList.remove("open");
       menuBtn.setAttribute("aria-expanded", "false");
-      document.body.style.overflow = "";
+      unlock();
       menuBtn.focus();
     }
   }
 
   // Event listeners
-  menuBtn.addEventListener("click", toggleMenu);
+  menuBtn.addEventListener("click", toggleMenu, { signal });
 
   if (closeBtn) {
-    closeBtn.addEventListener("click", closeMenu);
+    closeBtn.addEventListener("click", closeMenu, { signal });
   }
 
   // Close on link click
   navLinks.forEach((link) => {
-    link.addEventListener("click", closeMenu);
+    link.addEventListener("click", closeMenu, { signal });
   });
 
   // Close on Escape key
-  document.addEventListener("keydown", (e) => {
-    if (e.key === "Escape" && isOpen) {
-      closeMenu();
-    }
-  });
+  document.addEventListener(
+    "keydown",
+    (e) => {
+      if (e.key === "Escape" && isOpen) {
+        closeMenu();
+      }
+    },
+    { signal },
+  );
 
   // Focus trap within menu
-  menu.addEventListener("keydown", (e) => {
-    if (e.key !== "Tab" || !isOpen) return;
-
-    const focusableElements = menu.querySelectorAll(
-      'button, a[href], [tabindex]:not([tabindex="-1"])',
-    );
-    const firstFocusable = focusableElements[0];
-    const lastFocusable = focusableElements[focusableElements.length - 1];
-
-    if (e.shiftKey) {
-      if (document.activeElement === firstFocusable) {
-        e.preventDefault();
-        lastFocusable.focus();
-      }
-    } else {
-      if (document.activeElement === lastFocusable) {
-        e.preventDefault();
-        firstFocusable.focus();
+  menu.addEventListener(
+    "keydown",
+    (e) => {
+      if (e.key !== "Tab" || !isOpen) return;
+
+      const focusableElements = menu.querySelectorAll(
+        'button, a[href], [tabindex]:not([tabindex="-1"])',
+      );
+      const firstFocusable = focusableElements[0];
+      const lastFocusable = focusableElements[focusableElements.length - 1];
+
+      if (e.shiftKey) {
+        if (document.activeElement === firstFocusable) {
+          e.preventDefault();
+          lastFocusable.focus();
+        }
+      } else {
+        if (document.activeElement === lastFocusable) {
+          e.preventDefault();
+          firstFocusable.focus();
+        }
       }
+    },
+    { signal },
+  );
+
+  return function cleanup() {
+    controller.abort();
+    clearTimeout(focusTimeout);
+
+    if (isOpen) {
+      menu.classList.remove("open");
+      menuBtn.setAttribute("aria-expanded", "false");
+      unlock();
     }
-  });
+
+    // Drop the generated menu so a re-init rebuilds it fresh
+    if (!mobileMenu) menu.remove();
+  };
 }
 
 /**
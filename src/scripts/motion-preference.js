@@ -0,0 +1,65 @@
+/**
+ * Motion Preference Module
+ * Single source of truth for "should motion be reduced?"
+ *
+ * Features:
+ * - Follows the OS prefers-reduced-motion setting live
+ * - On-site "reduce motion" preference (preferences panel) also counts
+ * - Subscribers are told when it changes mid-session, so modules can
+ *   swap between their full and reduced paths without a reload
+ */
+
+import { getPreference, onPreferenceChange } from "./preferences.js";
+
+const motionQuery = window.matchMedia("(prefers-reduced-motion: reduce)");
+const listeners = new Set();
+
+let releasePreference = null;
+let lastValue = prefersReducedMotion();
+
+/**
+ * Whether motion should currently be reduced
+ * @returns {boolean}
+ */
+export function prefersReducedMotion() {
+  return motionQuery.matches || getPreference("reduceMotion");
+}
+
+/**
+ * Whether the OS setting alone asks for reduced motion
+ * @returns {boolean}
+ */
+export function systemPrefersReducedMotion() {
+  return motionQuery.matches;
+}
+
+/**
+ * Subscribe to preference changes
+ * @param {Function} listener - listener(reduced)
+ * @returns {Function} Unsubscribe function
+ */
+export function onMotionPreferenceChange(listener) {
+  if (listeners.size === 0) {
+    lastValue = prefersReducedMotion();
+    motionQuery.addEventListener("change", notify);
+    releasePreference = onPreferenceChange(notify);
+  }
+  listeners.add(listener);
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      motionQuery.removeEventListener("change", notify);
+      releasePreference();
+    }
+  };
+}
+
+// Only when the combined answer flips (e.g. not when the OS already reduces)
+function notify() {
+  const reduced = prefersReducedMotion();
+  if (reduced === lastValue) return;
+
+  lastValue = reduced;
+  listeners.forEach((listener) => listener(reduced));
+}
@@ -0,0 +1,99 @@
+/**
+ * Preferences Panel Module
+ * Small settings panel for switching effect categories on and off
+ *
+ * Features:
+ * - Native checkboxes, one per preference (data-preference="<name>")
+ * - Disclosure button with aria-expanded; Escape and outside clicks close it
+ * - Choices apply live (modules restart) and persist in localStorage
+ * - "Reduce motion" shows as locked on when the OS setting already reduces
+ */
+
+import { getPreference, setPreference } from "./preferences.js";
+import { systemPrefersReducedMotion } from "./motion-preference.js";
+
+/**
+ * Initialize the preferences panel
+ * @returns {Function} Cleanup function
+ */
+export function initPreferencesPanel() {
+  const toggle = document.getElementById("preferences-toggle");
+  const panel = document.getElementById("preferences-panel");
+  if (!toggle || !panel) return () => {};
+
+  // Single abort signal removes every listener on teardown
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  const inputs = panel.querySelectorAll("input[data-preference]");
+  const systemNote = panel.querySelector(".preferences-note");
+
+  // Reflect saved choices (and the OS motion setting) in the checkboxes
+  const sync = () => {
+    const systemReduced = systemPrefersReducedMotion();
+
+    inputs.forEach((input) => {
+      const name = input.dataset.preference;
+      const lockedOn = name === "reduceMotion" && systemReduced;
+
+      input.checked = lockedOn || getPreference(name);
+      input.disabled = lockedOn;
+    });
+
+    if (systemNote) systemNote.hidden = !systemReduced;
+  };
+
+  const isOpen = () => toggle.getAttribute("aria-expanded") === "true";
+
+  const open = () => {
+    sync();
+    panel.hidden = false;
+    toggle.setAttribute("aria-expanded", "true");
+    panel.querySelector("input:not(:disabled)")?.focus();
+  };
+
+  const close = ({ returnFocus = false } = {}) => {
+    panel.hidden = true;
+    toggle.setAttribute("aria-expanded", "false");
+    if (returnFocus) toggle.focus();
+  };
+
+  toggle.addEventListener("click", () => (isOpen() ? close() : open()), {
+    signal,
+  });
+
+  inputs.forEach((input) => {
+    input.addEventListener(
+      "change",
+      () => setPreference(input.dataset.preference, input.checked),
+      { signal },
+    );
+  });
+
+  document.addEventListener(
+    "keydown",
+    (e) => {
+      if (e.key === "Escape" && isOpen()) {
+        close({ returnFocus: true });
+      }
+    },
+    { signal },
+  );
+
+  document.addEventListener(
+    "click",
+    (e) => {
+      if (isOpen() && !panel.contains(e.target) && !toggle.contains(e.target)) {
+        close();
+      }
+    },
+    { signal },
+  );
+
+  sync();
+
+  return () => {
+    controller.abort();
+    close();
+  };
+}
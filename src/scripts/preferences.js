@@ -0,0 +1,74 @@
+/**
+ * Preferences Module
+ * The visitor's on-site effect choices, persisted in localStorage
+ *
+ * Preferences:
+ * - reduceMotion   Reduced motion path even without the OS setting
+ * - disableCursor  Native cursor only
+ * - disableWebGL   No hero shader
+ * - disableGrain   No film grain overlay
+ */
+
+const STORAGE_KEY = "pourhaus:preferences";
+
+const DEFAULT_PREFERENCES = {
+  reduceMotion: false,
+  disableCursor: false,
+  disableWebGL: false,
+  disableGrain: false,
+};
+
+let preferences = readPreferences();
+const listeners = new Set();
+
+/**
+ * Current value of a preference
+ * @param {string} name - Key of DEFAULT_PREFERENCES
+ * @returns {boolean}
+ */
+export function getPreference(name) {
+  return preferences[name];
+}
+
+/**
+ * Change a preference, save it and notify subscribers
+ * @param {string} name - Key of DEFAULT_PREFERENCES
+ * @param {boolean} value
+ */
+export function setPreference(name, value) {
+  if (!(name in DEFAULT_PREFERENCES)) {
+    throw new Error(`Unknown preference "${name}"`);
+  }
+  if (preferences[name] === value) return;
+
+  preferences = { ...preferences, [name]: value };
+  writePreferences(preferences);
+  listeners.forEach((listener) => listener(name, value));
+}
+
+/**
+ * Subscribe to preference changes
+ * @param {Function} listener - listener(name, value)
+ * @returns {Function} Unsubscribe function
+ */
+export function onPreferenceChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function readPreferences() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { ...DEFAULT_PREFERENCES, ...saved };
+  } catch {
+    return { ...DEFAULT_PREFERENCES };
+  }
+}
+
+function writePreferences(value) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(value));
+  } catch {
+    // Storage unavailable - the choice lasts for this page view
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Quality Module
+ * Adaptive performance governor for the visual effects
+ *
+ * Features:
+ * - Samples frame times on the shared frame scheduler (gsap.ticker)
+ * - Starting tier from navigator.hardwareConcurrency / deviceMemory hints
+ * - Sustained frame drops step down one tier at a time:
+ *   full → lower shader DPR → no shader → no blur reveals → no velocity skew
+ * - Only ever steps down; a device that struggled once is not trusted
+ *   again until the next page load
+ * - Subscribers and a "qualitychange" event on document are told about
+ *   every tier change: detail { tier, previous, settings }
+ */
+
+import { onFrame, FRAME_PRIORITY } from "./frame-scheduler.js";
+
+export const QUALITY_TIERS = [
+  { name: "full", shaderDpr: 2, shader: true, blur: true, skew: true },
+  { name: "low-dpr", shaderDpr: 1, shader: true, blur: true, skew: true },
+  { name: "no-shader", shaderDpr: 1, shader: false, blur: true, skew: true },
+  { name: "no-blur", shaderDpr: 1, shader: false, blur: false, skew: true },
+  { name: "minimal", shaderDpr: 1, shader: false, blur: false, skew: false },
+];
+
+// Average frame time over a sample window that counts as a drop (~45fps)
+const SLOW_FRAME_MS = 1000 / 45;
+const SAMPLE_FRAMES = 60;
+// Consecutive slow windows before stepping down (~2s of jank)
+const SLOW_WINDOWS = 2;
+// Longer gaps are tab switches or one-off hitches, not sustained load
+const MAX_FRAME_MS = 250;
+
+const listeners = new Set();
+
+let tierIndex = getStartingTier();
+
+/**
+ * Settings for the current tier
+ * @returns {{name: string, shaderDpr: number, shader: boolean, blur: boolean, skew: boolean}}
+ */
+export function getQuality() {
+  return QUALITY_TIERS[tierIndex];
+}
+
+/**
+ * Subscribe to tier changes
+ * @param {Function} listener - listener(settings, previous)
+ * @returns {Function} Unsubscribe function
+ */
+export function onQualityChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Start sampling frame times
+ * @returns {Function} Cleanup function
+ */
+export function initQualityGovernor() {
+  let frames = 0;
+  let total = 0;
+  let slowWindows = 0;
+
+  const sample = (time, deltaTime) => {
+    if (deltaTime > MAX_FRAME_MS) return;
+    if (tierIndex === QUALITY_TIERS.length - 1) return;
+
+    frames += 1;
+    total += deltaTime;
+    if (frames < SAMPLE_FRAMES) return;
+
+    slowWindows = total / frames > SLOW_FRAME_MS ? slowWindows + 1 : 0;
+    frames = 0;
+    total = 0;
+
+    if (slowWindows >= SLOW_WINDOWS) {
+      slowWindows = 0;
+      setTier(tierIndex + 1);
+    }
+  };
+  // Hidden frames are never sampled - the scheduler suspends them
+  return onFrame(sample, { priority: FRAME_PRIORITY.read });
+}
+
+function setTier(index) {
+  const previous = getQuality();
+  tierIndex = Math.min(index, QUALITY_TIERS.length - 1);
+  const settings = getQuality();
+  if (settings === previous) return;
+
+  listeners.forEach((listener) => listener(settings, previous));
+  document.dispatchEvent(
+    new CustomEvent("qualitychange", {
+      detail: { tier: settings.name, previous: previous.name, settings },
+    }),
+  );
+}
+
+// Weak devices skip the tiers they would only drop through anyway
+function getStartingTier() {
+  const cores = navigator.hardwareConcurrency || 8;
+  const memory = navigator.deviceMemory || 8; // GB, Chromium only
+
+  if (cores <= 2 || memory <= 2) return 2;
+  if (cores <= 4 || memory <= 4) return 1;
+  return 0;
+}
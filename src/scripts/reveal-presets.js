@@ -0,0 +1,166 @@
+/**
+ * Reveal Presets Module
+ * Named scroll-reveal motions, picked per element with data-reveal
+ *
+ * Built-in presets:
+ * - (empty)      Rise with blur - the house default
+ * - fade         Opacity only
+ * - slide-left   Slides in from the right
+ * - clip-up      Uncovers from the bottom edge upwards
+ * - mask-wipe    Uncovers left to right
+ * - scale        Grows in from slightly smaller
+ * - split-words  Words rise in one after another
+ * - split-lines  Lines rise in one after another
+ *
+ * Data attributes (override the preset):
+ * - data-reveal-duration  Seconds
+ * - data-reveal-ease      Any GSAP ease name (e.g. "pour", "power3.out")
+ * - data-reveal-start     ScrollTrigger start (default: "top 88%")
+ * - data-reveal-once      Don't hide again when scrolled back above
+ *
+ * Custom presets:
+ *   registerRevealPreset("drop", {
+ *     from: () => ({ y: -40, opacity: 0 }),
+ *     to: () => ({ y: 0, opacity: 1 }),
+ *   });
+ * Register before animations start, or restart them with app.restart("animations").
+ */
+
+import { splitText } from "./split-text.js";
+
+export const DEFAULT_REVEAL_PRESET = "rise";
+
+const presets = new Map();
+
+/**
+ * Register (or replace) a reveal preset
+ * `from` and `to` receive (el, { isMobile, isHeading }) and return GSAP vars.
+ * @param {string} name - Value used in data-reveal
+ * @param {Object} preset
+ * @param {Function} preset.from - Hidden state
+ * @param {Function} preset.to - Revealed state
+ * @param {number} preset.duration - Seconds (default: 0.9)
+ * @param {string} preset.ease - GSAP ease (default: "expo.out")
+ * @param {number|Object} preset.stagger - Stagger between split parts
+ * @param {Function} preset.split - Optional split(el, { onResplit }) =>
+ *   { targets, revert } to animate parts of the element instead of the
+ *   element itself (see splitText() in split-text.js)
+ */
+export function registerRevealPreset(name, preset) {
+  if (!name || typeof preset?.from !== "function" || !preset.to) {
+    throw new Error("Reveal presets need a name, from() and to()");
+  }
+
+  presets.set(name, { duration: 0.9, ease: "expo.out", ...preset });
+}
+
+/**
+ * Look up a preset, falling back to the default for unknown names
+ * @param {string} name - data-reveal value ("" for the default)
+ */
+export function getRevealPreset(name) {
+  if (!name) return presets.get(DEFAULT_REVEAL_PRESET);
+
+  if (!presets.has(name)) {
+    if (import.meta.env.DEV) {
+      console.warn(`Unknown reveal preset "${name}", using the default`);
+    }
+    return presets.get(DEFAULT_REVEAL_PRESET);
+  }
+  return presets.get(name);
+}
+
+/**
+ * Resolve the timing for an element: its data attributes win over the preset
+ * @param {HTMLElement} el - [data-reveal] element
+ * @param {Object} preset - From getRevealPreset()
+ * @param {Object} context - { isMobile, isHeading }
+ */
+export function getRevealOptions(el, preset, context) {
+  const { revealDuration, revealEase, revealStart, revealOnce } = el.dataset;
+  const duration = parseFloat(revealDuration);
+
+  return {
+    duration: Number.isFinite(duration)
+      ? duration
+      : typeof preset.duration === "function"
+        ? preset.duration(el, context)
+        : preset.duration,
+    ease: revealEase || preset.ease,
+    start: revealStart || "top 88%",
+    once: revealOnce !== undefined && revealOnce !== "false",
+  };
+}
+
+// Animate the element's words or lines instead of the element itself
+// (data-split-type on the element still wins)
+function splitInto(defaultType) {
+  return (el, options) => splitText(el, { defaultType, ...options });
+}
+
+// ========================================
+// BUILT-IN PRESETS
+// ========================================
+registerRevealPreset("rise", {
+  // Mobile uses smaller values to prevent overlap and keep edges clean
+  from: (el, { isMobile, isHeading }) => ({
+    y: isMobile ? 30 : isHeading ? 80 : 60,
+    opacity: 0,
+    filter: isMobile ? "blur(4px)" : "blur(8px)",
+  }),
+  to: () => ({ y: 0, opacity: 1, filter: "blur(0px)" }),
+  duration: (el, { isHeading }) => (isHeading ? 1.2 : 0.9),
+});
+
+registerRevealPreset("fade", {
+  from: () => ({ opacity: 0 }),
+  to: () => ({ opacity: 1 }),
+  duration: 1,
+  ease: "power2.out",
+});
+
+registerRevealPreset("slide-left", {
+  from: (el, { isMobile }) => ({ x: isMobile ? 40 : 100, opacity: 0 }),
+  to: () => ({ x: 0, opacity: 1 }),
+  duration: 1,
+  ease: "expo-out",
+});
+
+registerRevealPreset("clip-up", {
+  from: () => ({ clipPath: "inset(100% 0% 0% 0%)", y: 40 }),
+  to: () => ({ clipPath: "inset(0% 0% 0% 0%)", y: 0 }),
+  duration: 1.1,
+  ease: "quint-out",
+});
+
+registerRevealPreset("mask-wipe", {
+  from: () => ({ clipPath: "inset(0% 100% 0% 0%)" }),
+  to: () => ({ clipPath: "inset(0% 0% 0% 0%)" }),
+  duration: 1.2,
+  ease: "expo-in-out",
+});
+
+registerRevealPreset("scale", {
+  from: () => ({ scale: 0.9, opacity: 0 }),
+  to: () => ({ scale: 1, opacity: 1 }),
+  duration: 1,
+  ease: "pour",
+});
+
+registerRevealPreset("split-words", {
+  split: splitInto("words"),
+  from: () => ({ yPercent: 100, opacity: 0 }),
+  to: () => ({ yPercent: 0, opacity: 1 }),
+  duration: 0.8,
+  ease: "expo-out",
+  stagger: 0.04,
+});
+
+registerRevealPreset("split-lines", {
+  split: splitInto("lines"),
+  from: () => ({ yPercent: 60, opacity: 0 }),
+  to: () => ({ yPercent: 0, opacity: 1 }),
+  duration: 1,
+  ease: "expo-out",
+  stagger: 0.12,
+});
@@ -0,0 +1,137 @@
+/**
+ * Scroll Lock Module
+ * Shared scroll locking for overlays (menus, modals)
+ *
+ * Features:
+ * - Reference counted, so nested overlays lock and unlock cleanly
+ * - Pauses Lenis so wheel/touch input stops underneath
+ * - Marks the background `inert` (only the top overlay stays interactive)
+ * - Preserves the scrollbar gutter to avoid layout shift
+ * - Restores the exact scroll position on unlock
+ */
+
+// Shared state - one page, one lock
+let currentLenis = null;
+const overlays = []; // Stack of elements that stay interactive, top last
+const inertElements = new Set(); // Only elements we made inert
+let savedState = null;
+
+/**
+ * Connect the scroll lock to the running Lenis instance
+ * @param {Lenis} lenis - Lenis instance
+ * @returns {Function} Cleanup function
+ */
+export function initScrollLock(lenis) {
+  currentLenis = lenis;
+
+  // A Lenis restarted mid-lock must start out paused
+  if (savedState) lenis.stop();
+
+  return () => {
+    if (currentLenis === lenis) currentLenis = null;
+  };
+}
+
+/**
+ * Lock page scroll
+ * @param {Object} options
+ * @param {HTMLElement} options.allow - Overlay that stays interactive
+ * @returns {Function} Release function (safe to call more than once)
+ */
+export function lockScroll({ allow = null } = {}) {
+  const entry = { allow };
+  overlays.push(entry);
+
+  if (overlays.length === 1) {
+    applyLock();
+  }
+  applyInert();
+
+  let released = false;
+  return function release() {
+    if (released) return;
+    released = true;
+
+    overlays.splice(overlays.indexOf(entry), 1);
+
+    if (overlays.length === 0) {
+      removeLock();
+    } else {
+      applyInert();
+    }
+  };
+}
+
+/**
+ * Whether any overlay currently holds the lock
+ */
+export function isScrollLocked() {
+  return overlays.length > 0;
+}
+
+function applyLock() {
+  const html = document.documentElement;
+  const body = document.body;
+
+  // Width the scrollbar takes up - disappears once overflow is hidden
+  const gutter = window.innerWidth - html.clientWidth;
+
+  savedState = {
+    scroll: currentLenis ? currentLenis.scroll : window.scrollY,
+    htmlOverflow: html.style.overflow,
+    bodyPaddingRight: body.style.paddingRight,
+  };
+
+  if (currentLenis) currentLenis.stop();
+  html.style.overflow = "hidden";
+
+  if (gutter > 0) {
+    const padding = parseFloat(getComputedStyle(body).paddingRight) || 0;
+    body.style.paddingRight = `${padding + gutter}px`;
+  }
+  // Fixed header and progress bar keep clear of the gutter (globals.css)
+  html.style.setProperty("--scroll-lock-gutter", `${gutter}px`);
+}
+
+function removeLock() {
+  const html = document.documentElement;
+  const state = savedState;
+  savedState = null;
+
+  releaseInert();
+
+  html.style.overflow = state.htmlOverflow;
+  document.body.style.paddingRight = state.bodyPaddingRight;
+  html.style.removeProperty("--scroll-lock-gutter");
+
+  if (currentLenis) {
+    currentLenis.start();
+    currentLenis.scrollTo(state.scroll, { immediate: true, force: true });
+  } else {
+    window.scrollTo(0, state.scroll);
+  }
+}
+
+/**
+ * Make every top-level element inert except the one holding the top overlay
+ */
+function applyInert() {
+  releaseInert();
+
+  const { allow } = overlays[overlays.length - 1];
+
+  Array.from(document.body.children).forEach((child) => {
+    if (allow && (child === allow || child.contains(allow))) return;
+    if (child.inert) return; // Already inert by someone else
+
+    child.inert = true;
+    inertElements.add(child);
+  });
+}
+
+function releaseInert() {
+  inertElements.forEach((el) => {
+    el.inert = false;
+  });
+  inertElements.clear();
+}
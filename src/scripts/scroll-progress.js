@@ -0,0 +1,132 @@
+/**
+ * Scroll Progress Module
+ * Chaptered progress bar along the top of the viewport
+ *
+ * Features:
+ * - Bar scrubbed to overall document progress
+ * - A tick per chapter ([data-chapter] sections), placed where that
+ *   section reaches the top; recomputed on every ScrollTrigger refresh
+ * - Ticks show the chapter name on hover/focus and scroll to it on click
+ * - Current chapter announced politely to screen readers
+ *
+ * Data attributes:
+ * - data-chapter  Required on the section. Name shown and announced
+ */
+
+import gsap from "gsap";
+import { ScrollTrigger } from "gsap/ScrollTrigger";
+import { scrollToHash } from "./smooth-scroll.js";
+
+gsap.registerPlugin(ScrollTrigger);
+
+/**
+ * Initialize the scroll progress bar
+ * Call inside a gsap.context so tweens and ScrollTriggers are reverted with it.
+ * @param {Object} options
+ * @param {boolean} options.immediate - Follow scroll without smoothing, jump on click
+ * @returns {Function} Cleanup function
+ */
+export function initScrollProgress({ immediate = false } = {}) {
+  const progress = document.createElement("div");
+  progress.className = "scroll-progress";
+
+  const bar = document.createElement("div");
+  bar.className = "scroll-progress-bar";
+  progress.appendChild(bar);
+
+  // Visually hidden; only chapter changes are announced
+  const announcer = document.createElement("div");
+  announcer.className = "sr-only";
+  announcer.setAttribute("aria-live", "polite");
+  announcer.setAttribute("aria-atomic", "true");
+
+  const chapters = Array.from(
+    document.querySelectorAll("[data-chapter][id]"),
+    (section, index, sections) => {
+      const name = section.dataset.chapter;
+
+      const tick = document.createElement("button");
+      tick.type = "button";
+      tick.className = "scroll-progress-tick";
+      tick.setAttribute("aria-label", `Go to ${name}`);
+
+      const label = document.createElement("span");
+      label.className = "scroll-progress-label";
+      label.setAttribute("aria-hidden", "true");
+      label.textContent = name;
+      tick.appendChild(label);
+
+      tick.addEventListener("click", () => {
+        scrollToHash(`#${section.id}`, { immediate });
+      });
+      progress.appendChild(tick);
+
+      return {
+        name,
+        tick,
+        label: `Chapter ${index + 1} of ${sections.length}: ${name}`,
+        // Position only; after pins so it includes their spacing
+        trigger: ScrollTrigger.create({
+          trigger: section,
+          start: "top top",
+          refreshPriority: -1,
+        }),
+      };
+    },
+  );
+
+  let current = null;
+
+  // Chapter whose top has crossed the middle of the viewport
+  const setCurrent = (scroll) => {
+    const line = scroll + window.innerHeight / 2;
+    const next =
+      chapters.filter((chapter) => chapter.trigger.start <= line).pop() ??
+      chapters[0];
+    if (!next || next === current) return;
+
+    const isFirst = current === null;
+    current?.tick.classList.remove("is-active");
+    current?.tick.removeAttribute("aria-current");
+    next.tick.classList.add("is-active");
+    next.tick.setAttribute("aria-current", "step");
+    current = next;
+
+    // Don't announce the chapter the page loaded on
+    if (!isFirst) announcer.textContent = next.label;
+  };
+
+  const placeTicks = () => {
+    const maxScroll = ScrollTrigger.maxScroll(window) || 1;
+
+    chapters.forEach(({ tick, trigger }) => {
+      const ratio = gsap.utils.clamp(0, 1, trigger.start / maxScroll);
+      tick.style.left = `${ratio * 100}%`;
+    });
+    setCurrent(window.scrollY);
+  };
+
+  document.body.append(progress, announcer);
+
+  gsap.to(bar, {
+    scaleX: 1,
+    ease: "none",
+    scrollTrigger: {
+      trigger: document.body,
+      start: "top top",
+      end: "bottom bottom",
+      scrub: immediate ? true : 0.3,
+      onUpdate: (self) => setCurrent(self.scroll()),
+    },
+  });
+
+  ScrollTrigger.addEventListener("refresh", placeTicks);
+  placeTicks();
+
+  return () => {
+    ScrollTrigger.removeEventListener("refresh", placeTicks);
+    chapters.forEach(({ trigger }) => trigger.kill());
+    progress.remove();
+    announcer.remove();
+  };
+}
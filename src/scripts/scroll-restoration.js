@@ -0,0 +1,80 @@
+/**
+ * Scroll Restoration Module
+ * Remembers the scroll position per URL across reloads and back navigation
+ *
+ * Features:
+ * - Position saved to sessionStorage (throttled, plus on pagehide)
+ * - Keyed by path + query, so hash changes share one entry
+ * - Restored by the entry point once ScrollTriggers have refreshed, unless
+ *   the URL has a hash - a deep link goes to its section instead
+ * - Owns history.scrollRestoration: "manual" while running, since the
+ *   browser's own restoration (and its jump on back/forward to a hash)
+ *   would land before pins have sized the page
+ */
+
+const STORAGE_PREFIX = "pourhaus:scroll:";
+const SAVE_DELAY = 150; // ms between saves while scrolling
+
+/**
+ * Start saving the scroll position for this URL
+ * @param {Lenis} lenis - Lenis instance
+ * @returns {Function} Cleanup function
+ */
+export function initScrollRestoration(lenis) {
+  let saveTimeout = null;
+
+  const previousRestoration = history.scrollRestoration;
+  if ("scrollRestoration" in history) {
+    history.scrollRestoration = "manual";
+  }
+
+  const save = () => {
+    clearTimeout(saveTimeout);
+    saveTimeout = null;
+    writeScroll(lenis ? lenis.scroll : window.scrollY);
+  };
+
+  const scheduleSave = () => {
+    if (!saveTimeout) saveTimeout = setTimeout(save, SAVE_DELAY);
+  };
+
+  const removeScrollListener = lenis
+    ? lenis.on("scroll", scheduleSave)
+    : (window.addEventListener("scroll", scheduleSave, { passive: true }),
+      () => window.removeEventListener("scroll", scheduleSave));
+
+  // Last chance before reload, navigation or bfcache
+  window.addEventListener("pagehide", save);
+
+  return () => {
+    removeScrollListener();
+    window.removeEventListener("pagehide", save);
+    if (saveTimeout) save();
+    if (previousRestoration) history.scrollRestoration = previousRestoration;
+  };
+}
+
+/**
+ * Saved scroll position for the current URL
+ * @returns {number|null} Position in px, or null if none saved
+ */
+export function getSavedScroll() {
+  try {
+    const value = sessionStorage.getItem(getStorageKey());
+    return value === null ? null : parseFloat(value);
+  } catch {
+    return null;
+  }
+}
+
+function writeScroll(scroll) {
+  try {
+    sessionStorage.setItem(getStorageKey(), String(Math.round(scroll)));
+  } catch {
+    // Storage unavailable - restoration simply won't happen
+  }
+}
+
+function getStorageKey() {
+  return STORAGE_PREFIX + window.location.pathname + window.location.search;
+}
@@ -9,6 +9,7 @@
  * - Always visible at top of page
  * - GPU-accelerated transforms
  * - Integrates with Lenis smooth scroll
+ * - Exposes state as data-state="visible|hidden" for other modules
  */
 
 import gsap from "gsap";
@@ -16,10 +17,11 @@ import gsap from "gsap";
 /**
  * Initialize smart header behavior
  * @param {Lenis} lenis - Lenis smooth scroll instance
+ * @returns {Object|null} Header controls (show/hide/isHidden/destroy)
  */
 export function initSmartHeader(lenis) {
   const header = document.querySelector("header");
-  if (!header) return;
+  if (!header) return null;
 
   // Configuration
   const config = {
@@ -34,6 +36,8 @@ export function initSmartHeader(lenis) {
   let isHidden = false;
   let ticking = false;
 
+  header.dataset.state = "visible";
+
   // Set initial styles for GPU acceleration
   gsap.set(header, {
     willChange: "transform, opacity",
@@ -81,6 +85,7 @@ export function initSmartHeader(lenis) {
    */
   function hideHeader() {
     isHidden = true;
+    header.dataset.state = "hidden";
 
     gsap.to(header, {
       y: "-100%",
@@ -98,6 +103,7 @@ export function initSmartHeader(lenis) {
    */
   function showHeader() {
     isHidden = false;
+    header.dataset.state = "visible";
 
     gsap.to(header, {
       y: "0%",
@@ -111,10 +117,13 @@ export function initSmartHeader(lenis) {
   }
 
   // Listen to Lenis scroll events for smooth integration
+  let rafId = null;
+  let removeScrollListener;
+
   if (lenis) {
-    lenis.on("scroll", ({ scroll }) => {
+    removeScrollListener = lenis.on("scroll", ({ scroll }) => {
       if (!ticking) {
-        requestAnimationFrame(() => {
+        rafId = requestAnimationFrame(() => {
           handleScroll(scroll);
           ticking = false;
         });
@@ -123,19 +132,30 @@ export function initSmartHeader(lenis) {
     });
   } else {
     // Fallback to native scroll if Lenis not available
-    window.addEventListener(
-      "scroll",
-      () => {
-        if (!ticking) {
-          requestAnimationFrame(() => {
-            handleScroll(window.scrollY);
-            ticking = false;
-          });
-          ticking = true;
-        }
-      },
-      { passive: true },
-    );
+    const handleNativeScroll = () => {
+      if (!ticking) {
+        rafId = requestAnimationFrame(() => {
+          handleScroll(window.scrollY);
+          ticking = false;
+        });
+        ticking = true;
+      }
+    };
+    window.addEventListener("scroll", handleNativeScroll, { passive: true });
+    removeScrollListener = () =>
+      window.removeEventListener("scroll", handleNativeScroll);
+  }
+
+  /**
+   * Stop tracking scroll and restore the header
+   */
+  function destroy() {
+    removeScrollListener();
+    if (rafId) cancelAnimationFrame(rafId);
+    gsap.killTweensOf(header);
+    gsap.set(header, { clearProps: "all" });
+    header.style.pointerEvents = "";
+    delete header.dataset.state;
   }
 
   // Return control functions for external use
@@ -143,5 +163,6 @@ export function initSmartHeader(lenis) {
     show: showHeader,
     hide: hideHeader,
     isHidden: () => isHidden,
+    destroy,
   };
 }
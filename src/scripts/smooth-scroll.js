@@ -1,19 +1,44 @@
 /**
  * Smooth Scroll Module
  * Uses Lenis for premium momentum scrolling
+ *
+ * Features:
+ * - Delegated anchor handling (works for links added later)
+ * - URL hash kept in sync via pushState or replaceState
+ * - Back/forward smooth-scroll to the section in the URL
+ * - scrollToHash() for deep links once the page is ready
+ * - Offsets clear the fixed header (unless the smart header stays hidden)
+ * - Focus moves into the target section after the scroll
+ *
+ * Data attributes (on the target):
+ * - data-scroll-offset  Space to leave above the target in px, overrides the header height
  */
 
 import Lenis from "lenis";
 import gsap from "gsap";
 import { ScrollTrigger } from "gsap/ScrollTrigger";
+import { onFrame, FRAME_PRIORITY } from "./frame-scheduler.js";
 
 gsap.registerPlugin(ScrollTrigger);
 
+// Shared anchor scroll settings
+const ANCHOR_SCROLL = {
+  duration: 1.5,
+  easing: (t) => Math.min(1, 1.001 - Math.pow(2, -10 * t)),
+};
+
+// Running instance and its teardown
+let currentLenis = null;
+let cleanupSmoothScroll = null;
+
 /**
  * Initialize Lenis smooth scroll
+ * @param {Object} options
+ * @param {string} options.historyMode - "push" | "replace" | "none" (default: "push")
+ *   How anchor clicks update the URL hash
  * @returns {Lenis} Lenis instance
  */
-export function initSmoothScroll() {
+export function initSmoothScroll({ historyMode = "push" } = {}) {
   const lenis = new Lenis({
     duration: 1.2,
     easing: (t) => Math.min(1, 1.001 - Math.pow(2, -10 * t)),
@@ -28,31 +53,182 @@ export function initSmoothScroll() {
   // Sync Lenis with GSAP ScrollTrigger
   lenis.on("scroll", ScrollTrigger.update);
 
-  // Use GSAP ticker for smooth animation frame sync
-  gsap.ticker.add((time) => {
-    lenis.raf(time * 1000);
+  // Shared frame scheduler (gsap.ticker) - scroll runs first each frame
+  const stopFrame = onFrame((time) => lenis.raf(time * 1000), {
+    priority: FRAME_PRIORITY.scroll,
   });
 
   // Disable GSAP's lag smoothing for better scroll sync
   gsap.ticker.lagSmoothing(0);
 
-  // Handle anchor links
-  document.querySelectorAll('a[href^="#"]').forEach((anchor) => {
-    anchor.addEventListener("click", (e) => {
+  currentLenis = lenis;
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  // Handle anchor links (delegated, so links added later work too)
+  document.addEventListener(
+    "click",
+    (e) => {
+      if (e.defaultPrevented || e.button !== 0) return;
+      if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+      const anchor = e.target.closest('a[href^="#"]');
+      if (!anchor) return;
+
+      const hash = anchor.getAttribute("href");
+      if (hash !== "#" && !resolveHash(hash)) return;
+
       e.preventDefault();
-      const target = document.querySelector(anchor.getAttribute("href"));
-      if (target) {
-        lenis.scrollTo(target, {
-          offset: 0,
-          duration: 1.5,
-          easing: (t) => Math.min(1, 1.001 - Math.pow(2, -10 * t)),
-        });
-      }
-    });
-  });
+      scrollToHash(hash);
+      updateHistory(hash, historyMode);
+    },
+    { signal },
+  );
+
+  // Back/forward - smooth-scroll to whatever the URL now points at
+  window.addEventListener(
+    "popstate",
+    () => {
+      scrollToHash(window.location.hash || "#");
+    },
+    { signal },
+  );
 
   // Expose lenis globally for debugging
   window.lenis = lenis;
 
+  cleanupSmoothScroll = () => {
+    controller.abort();
+    stopFrame();
+    lenis.destroy();
+    if (window.lenis === lenis) delete window.lenis;
+    if (currentLenis === lenis) currentLenis = null;
+  };
+
   return lenis;
 }
+
+/**
+ * Scroll to the element a URL hash points at
+ * "#" or an empty hash scrolls to the top.
+ * @param {string} hash - e.g. "#process"
+ * @param {Object} options
+ * @param {boolean} options.immediate - Jump instead of animating
+ * @param {boolean} options.focus - Move focus into the target afterwards (default: true)
+ * @returns {boolean} Whether a target was found
+ */
+export function scrollToHash(hash, { immediate = false, focus = true } = {}) {
+  const target = !hash || hash === "#" ? 0 : resolveHash(hash);
+  if (target === null) return false;
+
+  const onComplete = () => {
+    if (focus && target !== 0) focusTarget(target);
+  };
+
+  if (currentLenis) {
+    currentLenis.scrollTo(target, {
+      offset: target === 0 ? 0 : resolveOffset(target, immediate),
+      immediate,
+      onComplete,
+      ...(immediate ? {} : ANCHOR_SCROLL),
+    });
+  } else {
+    const top =
+      target === 0
+        ? 0
+        : target.getBoundingClientRect().top +
+          window.scrollY +
+          resolveOffset(target, immediate);
+    window.scrollTo({ top, behavior: immediate ? "auto" : "smooth" });
+    onComplete();
+  }
+
+  return true;
+}
+
+/**
+ * Lenis offset for a target (negative leaves space above it)
+ * Priority: data-scroll-offset > fixed header height > 0
+ * @param {HTMLElement} target - Element being scrolled to
+ * @param {boolean} immediate - Jump without animating
+ */
+function resolveOffset(target, immediate) {
+  const override = parseFloat(target.dataset.scrollOffset);
+  if (!Number.isNaN(override)) return -override;
+
+  const header = document.querySelector("header");
+  if (!header) return 0;
+
+  // Decided by direction, not the header's current state: the smart
+  // header hides during an animated downward scroll (even one that starts
+  // with it visible), so there is nothing to clear; scrolling up brings it
+  // back. An immediate jump (deep links) gives it no downward scroll to
+  // react to, so the header stays shown and needs the space.
+  const isSmartHeader = "state" in header.dataset;
+  const scrollingDown = target.getBoundingClientRect().top > 0;
+
+  return isSmartHeader && scrollingDown && !immediate
+    ? 0
+    : -header.offsetHeight;
+}
+
+/**
+ * Move focus into the target so keyboard and screen-reader users follow
+ * Non-focusable targets get a temporary tabindex="-1".
+ */
+function focusTarget(target) {
+  const isFocusable =
+    target.matches("a[href], button, input, select, textarea") ||
+    target.hasAttribute("tabindex");
+
+  if (!isFocusable) {
+    target.setAttribute("tabindex", "-1");
+    target.addEventListener("blur", () => target.removeAttribute("tabindex"), {
+      once: true,
+    });
+  }
+
+  target.focus({ preventScroll: true });
+}
+
+/**
+ * Find the element for a hash, or null
+ * Uses getElementById so ids that aren't valid selectors don't throw.
+ */
+function resolveHash(hash) {
+  let id = hash.replace(/^#/, "");
+  try {
+    id = decodeURIComponent(id);
+  } catch {
+    // Keep the raw id
+  }
+  return id ? document.getElementById(id) : null;
+}
+
+/**
+ * Reflect the scrolled-to section in the URL
+ */
+function updateHistory(hash, historyMode) {
+  if (historyMode === "none") return;
+
+  // "#" means the top of the page - drop the hash entirely
+  const url =
+    hash === "#" ? window.location.pathname + window.location.search : hash;
+  const isSameEntry = (window.location.hash || "#") === hash;
+
+  if (historyMode === "replace" || isSameEntry) {
+    history.replaceState(history.state, "", url);
+  } else {
+    history.pushState(null, "", url);
+  }
+}
+
+/**
+ * Tear down the running Lenis instance and its listeners
+ */
+export function destroySmoothScroll() {
+  if (cleanupSmoothScroll) {
+    cleanupSmoothScroll();
+    cleanupSmoothScroll = null;
+  }
+}
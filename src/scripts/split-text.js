@@ -0,0 +1,162 @@
+/**
+ * Split Text Module
+ * Shared SplitType wrapper for every split-text animation
+ *
+ * Features:
+ * - Split type from data-split-type (chars / words / lines)
+ * - Text stays readable as a whole: aria-hidden on the generated fragments,
+ *   and aria-label on headings and landmarks, or a visually hidden copy on
+ *   generic elements (p, div), where aria-label is ignored
+ * - Nested elements keep their own display (e.g. block-level headline lines)
+ * - Splitting an element again reverts the previous split first
+ * - Re-split on width change and web font loads, owners restore their state
+ *
+ * Data attributes:
+ * - data-split-text  Split and stagger this element's text
+ * - data-split-type  "chars" | "words" | "lines" (default: "words")
+ */
+
+import SplitType from "split-type";
+import { onResize } from "./viewport.js";
+
+export const SPLIT_TYPES = ["chars", "words", "lines"];
+
+// Live splits by element
+const splits = new Map();
+
+const RESPLIT_DELAY = 250; // ms after the last font load
+
+// Elements screen readers announce an aria-label on
+const LABELLABLE_SELECTOR =
+  "h1, h2, h3, h4, h5, h6, a[href], button, header, nav, main, aside, footer, section, [role]";
+
+/**
+ * Split an element's text into animatable fragments
+ * @param {HTMLElement} el - Element to split
+ * @param {Object} options
+ * @param {string} options.defaultType - Used when the element has no data-split-type
+ * @param {Function} options.onResplit - onResplit(targets) after the text is
+ *   split again for a new layout; restore the animation state on the new fragments
+ * @returns {Object} { el, type, targets, revert, resplit }
+ */
+export function splitText(el, { defaultType = "words", onResplit } = {}) {
+  splits.get(el)?.revert();
+
+  const type = SPLIT_TYPES.includes(el.dataset.splitType)
+    ? el.dataset.splitType
+    : defaultType;
+
+  // Screen readers get the text once, not letter by letter
+  const hadLabel = el.hasAttribute("aria-label");
+  const text =
+    el.getAttribute("aria-label") ?? el.textContent.replace(/\s+/g, " ").trim();
+  const labellable = el.matches(LABELLABLE_SELECTOR);
+  if (labellable && !hadLabel) el.setAttribute("aria-label", text);
+  const copy = labellable ? null : text;
+
+  let instance = createSplit(el, type, copy);
+
+  const split = {
+    el,
+    type,
+    targets: instance[type],
+    revert() {
+      if (splits.get(el) !== split) return;
+      splits.delete(el);
+
+      instance.revert();
+      if (!hadLabel) el.removeAttribute("aria-label");
+    },
+    // Split again against the current layout (line breaks, glyph widths)
+    resplit() {
+      if (splits.get(el) !== split) return;
+
+      instance.revert();
+      instance = createSplit(el, type, copy);
+      split.targets = instance[type];
+      onResplit?.(split.targets);
+    },
+  };
+  splits.set(el, split);
+
+  return split;
+}
+
+/**
+ * Whether an element is currently split (e.g. by the hero or a reveal preset)
+ */
+export function isSplit(el) {
+  return splits.has(el);
+}
+
+/**
+ * Re-split every live split when text may have reflowed
+ * Width changes and late web fonts move line breaks and glyph positions.
+ * @param {Function} onResplit - Called once all splits are redone
+ *   (e.g. to refresh ScrollTrigger positions)
+ * @returns {Function} Cleanup function
+ */
+export function watchSplitLayout(onResplit) {
+  let timeout = null;
+  let lastWidth = window.innerWidth;
+
+  const resplitAll = () => {
+    timeout = null;
+    if (!splits.size) return;
+
+    [...splits.values()].forEach((split) => split.resplit());
+    onResplit?.();
+  };
+
+  const schedule = () => {
+    clearTimeout(timeout);
+    timeout = setTimeout(resplitAll, RESPLIT_DELAY);
+  };
+
+  // Height-only changes (mobile browser bars) don't reflow text
+  const offResize = onResize(({ width }) => {
+    if (width === lastWidth) return;
+    lastWidth = width;
+    clearTimeout(timeout);
+    resplitAll();
+  });
+
+  document.fonts?.addEventListener("loadingdone", schedule);
+
+  return () => {
+    clearTimeout(timeout);
+    offResize();
+    document.fonts?.removeEventListener("loadingdone", schedule);
+  };
+}
+
+/**
+ * @param {string|null} copy - Text for a visually hidden copy; reverting
+ *   the split restores the original markup, which drops it again
+ */
+function createSplit(el, type, copy) {
+  // SplitType forces nested elements inline-block - keep their own layout
+  const nested = Array.from(el.querySelectorAll("*"), (child) => [
+    child,
+    child.style.display,
+  ]);
+  const instance = new SplitType(el, { types: type, tagName: "span" });
+  nested.forEach(([child, display]) => {
+    child.style.display = display;
+  });
+
+  [instance.lines, instance.words, instance.chars].forEach((fragments) => {
+    fragments?.forEach((fragment) => {
+      fragment.setAttribute("aria-hidden", "true");
+    });
+  });
+
+  if (copy) {
+    const hiddenCopy = document.createElement("span");
+    hiddenCopy.className = "sr-only";
+    hiddenCopy.textContent = copy;
+    el.prepend(hiddenCopy);
+  }
+
+  return instance;
+}
@@ -0,0 +1,130 @@
+/**
+ * Section Theme Module
+ * Page colours follow the section in the middle of the viewport
+ *
+ * Features:
+ * - Sections declare data-theme="dark|light|clay"
+ * - Body background, header, cursor and scroll progress tween together
+ *   (CSS custom properties on <html>, consumed in globals.css)
+ * - Active theme on <html data-theme> for CSS hooks
+ * - "themechange" event on document: detail { theme, previous, section }
+ * - Instant switches for reduced motion
+ */
+
+import gsap from "gsap";
+import { ScrollTrigger } from "gsap/ScrollTrigger";
+import { prefersReducedMotion } from "./motion-preference.js";
+import "./eases.js";
+
+gsap.registerPlugin(ScrollTrigger);
+
+export const THEMES = {
+  dark: {
+    "--theme-background": "#0A0A0A",
+    "--theme-text": "#FAFAFA",
+    "--theme-cursor": "#FAFAFA",
+    "--theme-logo-invert": 1,
+    "--theme-progress-start": "#964B00",
+    "--theme-progress-end": "#FAFAFA",
+  },
+  light: {
+    "--theme-background": "#FAFAFA",
+    "--theme-text": "#0A0A0A",
+    "--theme-cursor": "#0A0A0A",
+    "--theme-logo-invert": 0,
+    "--theme-progress-start": "#964B00",
+    "--theme-progress-end": "#0A0A0A",
+  },
+  clay: {
+    "--theme-background": "#3B1E08",
+    "--theme-text": "#FAFAFA",
+    "--theme-cursor": "#B8B5AD",
+    "--theme-logo-invert": 1,
+    "--theme-progress-start": "#B8B5AD",
+    "--theme-progress-end": "#FAFAFA",
+  },
+};
+
+const THEME_TWEEN = { duration: 0.8, ease: "expo-out" };
+
+let activeTheme = null;
+
+/**
+ * Initialize section themes
+ * @returns {Function} Cleanup function
+ */
+export function initThemes() {
+  const root = document.documentElement;
+  const sections = document.querySelectorAll("[data-theme]");
+  if (!sections.length) return () => {};
+
+  const setTheme = (theme, section) => {
+    if (!THEMES[theme] || theme === activeTheme) return;
+
+    const previous = activeTheme;
+    activeTheme = theme;
+    root.dataset.theme = theme;
+
+    gsap.to(root, {
+      ...THEMES[theme],
+      duration: prefersReducedMotion() ? 0 : THEME_TWEEN.duration,
+      ease: THEME_TWEEN.ease,
+      overwrite: true,
+    });
+
+    document.dispatchEvent(
+      new CustomEvent("themechange", {
+        detail: { theme, previous, section },
+      }),
+    );
+  };
+
+  // Start from the section under the viewport centre right now
+  const centre = window.innerHeight / 2;
+  const initial =
+    [...sections]
+      .filter((section) => section.getBoundingClientRect().top <= centre)
+      .pop() ?? sections[0];
+  setTheme(initial.dataset.theme, initial);
+
+  const triggers = Array.from(sections, (section) =>
+    ScrollTrigger.create({
+      trigger: section,
+      start: "top center",
+      end: "bottom center",
+      // After pins (works, process) so positions include their spacing
+      refreshPriority: -1,
+      onEnter: () => setTheme(section.dataset.theme, section),
+      onEnterBack: () => setTheme(section.dataset.theme, section),
+    }),
+  );
+
+  // Restored positions and deep links are applied after init, once layout
+  // settles (main.js) - re-read the active section once they land. Lenis
+  // fires scrollend on window after every scrollTo, immediate ones included.
+  const syncToScroll = () => {
+    const active = triggers.find((trigger) => trigger.isActive);
+    if (active) setTheme(active.trigger.dataset.theme, active.trigger);
+  };
+  ScrollTrigger.addEventListener("refresh", syncToScroll);
+  window.addEventListener("scrollend", syncToScroll);
+
+  return () => {
+    ScrollTrigger.removeEventListener("refresh", syncToScroll);
+    window.removeEventListener("scrollend", syncToScroll);
+    triggers.forEach((trigger) => trigger.kill());
+    gsap.killTweensOf(root);
+    Object.keys(THEMES.dark).forEach((property) => {
+      root.style.removeProperty(property);
+    });
+    delete root.dataset.theme;
+    activeTheme = null;
+  };
+}
+
+/**
+ * Name of the theme currently applied (null before init)
+ */
+export function getActiveTheme() {
+  return activeTheme;
+}
@@ -0,0 +1,122 @@
+/**
+ * Viewport Module
+ * Shared breakpoints, pointer capability and resize handling
+ *
+ * Features:
+ * - One set of breakpoint queries for every module (and gsap.matchMedia)
+ * - Pointer capability from (pointer: fine) and (hover: hover), not touch
+ *   detection - a touch laptop with a mouse still gets hover effects
+ * - Subscribers and a "viewportchange" event on document are told when a
+ *   breakpoint or pointer capability flips: detail { viewport, changed }
+ * - One debounced window resize listener shared by everyone
+ */
+
+/**
+ * Media queries behind each viewport flag
+ */
+export const MEDIA_QUERIES = {
+  mobile: "(max-width: 768px)",
+  tablet: "(min-width: 769px)", // Tablet and up
+  desktop: "(min-width: 1024px)",
+  finePointer: "(pointer: fine)",
+  hover: "(hover: hover)",
+};
+
+const RESIZE_DELAY = 250; // ms after the last resize event
+
+const queries = Object.entries(MEDIA_QUERIES).map(([name, query]) => [
+  name,
+  window.matchMedia(query),
+]);
+
+const changeListeners = new Set();
+const resizeListeners = new Set();
+
+let viewport = readViewport();
+let resizeTimeout = null;
+
+/**
+ * Current breakpoints and pointer capability
+ * @returns {{mobile: boolean, tablet: boolean, desktop: boolean, finePointer: boolean, hover: boolean, canHover: boolean}}
+ */
+export function getViewport() {
+  // Only kept current by the query listeners while someone subscribes
+  if (changeListeners.size === 0) viewport = readViewport();
+  return viewport;
+}
+
+/**
+ * Subscribe to breakpoint and pointer capability changes
+ * @param {Function} listener - listener(viewport, changed) - changed lists the flipped flags
+ * @returns {Function} Unsubscribe function
+ */
+export function onViewportChange(listener) {
+  if (changeListeners.size === 0) {
+    viewport = readViewport();
+    queries.forEach(([, query]) =>
+      query.addEventListener("change", handleChange),
+    );
+  }
+  changeListeners.add(listener);
+
+  return () => {
+    changeListeners.delete(listener);
+    if (changeListeners.size === 0) {
+      queries.forEach(([, query]) =>
+        query.removeEventListener("change", handleChange),
+      );
+    }
+  };
+}
+
+/**
+ * Run a callback once a window resize settles
+ * @param {Function} listener - listener({ width, height })
+ * @returns {Function} Unsubscribe function
+ */
+export function onResize(listener) {
+  if (resizeListeners.size === 0) {
+    window.addEventListener("resize", handleResize);
+  }
+  resizeListeners.add(listener);
+
+  return () => {
+    resizeListeners.delete(listener);
+    if (resizeListeners.size === 0) {
+      window.removeEventListener("resize", handleResize);
+      clearTimeout(resizeTimeout);
+    }
+  };
+}
+
+function readViewport() {
+  const flags = Object.fromEntries(
+    queries.map(([name, query]) => [name, query.matches]),
+  );
+  // Hover effects need both a precise pointer and real hover
+  return { ...flags, canHover: flags.finePointer && flags.hover };
+}
+
+// Several queries can flip on one rotation - notify once with all of them
+function handleChange() {
+  const previous = viewport;
+  viewport = readViewport();
+
+  const changed = Object.keys(viewport).filter(
+    (name) => viewport[name] !== previous[name],
+  );
+  if (!changed.length) return;
+
+  changeListeners.forEach((listener) => listener(viewport, changed));
+  document.dispatchEvent(
+    new CustomEvent("viewportchange", { detail: { viewport, changed } }),
+  );
+}
+
+function handleResize() {
+  clearTimeout(resizeTimeout);
+  resizeTimeout = setTimeout(() => {
+    const size = { width: window.innerWidth, height: window.innerHeight };
+    resizeListeners.forEach((listener) => listener(size));
+  }, RESIZE_DELAY);
+}